@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const Cc = Components.classes;
+const Ci = Components.interfaces;
+const Cr = Components.results;
+const Cu = Components.utils;
+
+Cu.import("resource://gre/modules/XPCOMUtils.jsm");
+Cu.import("resource://slimerjs/slConfiguration.jsm");
+
+// the certificate override service of Gecko, which stores overrides
+// given by the user (cert_override.txt in the profile)
+const GECKO_CERTOVERRIDE_CID = "{67ba681d-5485-4fff-952c-2ee337ffdcd6}";
+
+const ALL_ERRORS = Ci.nsICertOverrideService.ERROR_UNTRUSTED
+                   | Ci.nsICertOverrideService.ERROR_MISMATCH
+                   | Ci.nsICertOverrideService.ERROR_TIME;
+
+/**
+ * Certificate override service that accepts all invalid certificates
+ * when the --ignore-ssl-errors option is set. Other calls are given
+ * to the certificate override service of Gecko.
+ */
+function CertOverrideService() {
+    this._service = Components.classesByID[GECKO_CERTOVERRIDE_CID]
+                              .getService(Ci.nsICertOverrideService);
+}
+
+CertOverrideService.prototype = {
+    classID          : Components.ID("{aed05b29-9684-4630-b790-30c78e1c9f74}"),
+    classDescription: "Certificate override service for SlimerJS",
+    QueryInterface   : XPCOMUtils.generateQI([Ci.nsICertOverrideService]),
+
+    /* ----------  nsICertOverrideService constants  ---------- */
+
+    ERROR_UNTRUSTED : Ci.nsICertOverrideService.ERROR_UNTRUSTED,
+
+    ERROR_MISMATCH : Ci.nsICertOverrideService.ERROR_MISMATCH,
+
+    ERROR_TIME : Ci.nsICertOverrideService.ERROR_TIME,
+
+    /* ----------  nsICertOverrideService methods  ---------- */
+
+    rememberValidityOverride : function(hostName, port, cert, overrideBits, temporary) {
+        this._service.rememberValidityOverride(hostName, port, cert, overrideBits, temporary);
+    },
+
+    hasMatchingOverride : function(hostName, port, cert, overrideBits, isTemporary) {
+        if (slConfiguration.ignoreSslErrors) {
+            overrideBits.value = ALL_ERRORS;
+            isTemporary.value = true;
+            return true;
+        }
+        return this._service.hasMatchingOverride(hostName, port, cert, overrideBits, isTemporary);
+    },
+
+    getValidityOverride : function(hostName, port, hashAlg, fingerprint, overrideBits, isTemporary) {
+        return this._service.getValidityOverride(hostName, port, hashAlg, fingerprint,
+                                                 overrideBits, isTemporary);
+    },
+
+    clearValidityOverride : function(hostName, port) {
+        this._service.clearValidityOverride(hostName, port);
+    },
+
+    getAllOverrideHostsWithPorts : function(count) {
+        return this._service.getAllOverrideHostsWithPorts(count);
+    },
+
+    isCertUsedForOverrides : function(cert, checkTemporaries, checkPermanents) {
+        return this._service.isCertUsedForOverrides(cert, checkTemporaries, checkPermanents);
+    }
+}
+
+this.NSGetFactory = XPCOMUtils.generateNSGetFactory([CertOverrideService]);
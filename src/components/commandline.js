@@ -8,6 +8,7 @@ Components.utils.import("resource://gre/modules/XPCOMUtils.jsm");
 Components.utils.import("resource://gre/modules/Services.jsm");
 Components.utils.import("resource://slimerjs/slConfiguration.jsm");
 Components.utils.import("resource://slimerjs/slUtils.jsm");
+Components.utils.import("resource://slimerjs/slCookiesManager.jsm");
 
 var envService = Components.classes["@mozilla.org/process/environment;1"].
           getService(Components.interfaces.nsIEnvironment);
@@ -50,6 +51,7 @@ slCommandLine.prototype = {
 
         try {
             slConfiguration.handleFlags(cmdLine);
+            slConfiguration.applyPreferences();
         }
         catch(e) {
             dump(e+"\n");
@@ -57,6 +59,10 @@ slCommandLine.prototype = {
             return;
         }
 
+        if (slConfiguration.cookiesFile) {
+            slCookiesManager.init(slConfiguration.cookiesFile, slConfiguration.workingDirectory);
+        }
+
         if (cmdLine.length == 0) {
             Components.utils.reportError("script is missing");
             dump("script is missing\n");
@@ -0,0 +1,171 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const Cc = Components.classes;
+const Ci = Components.interfaces;
+const Cr = Components.results;
+const Cu = Components.utils;
+
+Cu.import("resource://gre/modules/XPCOMUtils.jsm");
+Cu.import("resource://gre/modules/Services.jsm");
+Cu.import("resource://slimerjs/slUtils.jsm");
+
+/**
+ * enumerator on a list of nsIFile or nsIDOMFile
+ */
+function FilesEnumerator(files) {
+    this._files = files;
+    this._index = 0;
+}
+
+FilesEnumerator.prototype = {
+    QueryInterface : XPCOMUtils.generateQI([Ci.nsISimpleEnumerator]),
+
+    hasMoreElements : function() {
+        return (this._index < this._files.length);
+    },
+
+    getNext : function() {
+        if (this._index >= this._files.length) {
+            throw Cr.NS_ERROR_FAILURE;
+        }
+        return this._files[this._index++];
+    }
+}
+
+/**
+ * File picker used when a web page wants to select a file
+ * (with an <input type="file"> element for example).
+ * No dialog is shown: files are given by webpage.uploadFile()
+ * or by the webpage.onFilePicker callback.
+ */
+function FilePicker() {
+    this._window = null;
+    this._title = "";
+    this._mode = Ci.nsIFilePicker.modeOpen;
+    this._files = [];
+}
+
+FilePicker.prototype = {
+    classID          : Components.ID("{01175cf2-42ef-4883-8115-a35d0f884d7f}"),
+    classDescription: "File picker for SlimerJS",
+    QueryInterface   : XPCOMUtils.generateQI([Ci.nsIFilePicker]),
+
+    /* ----------  nsIFilePicker attributes  ---------- */
+
+    defaultString : "",
+
+    defaultExtension : "",
+
+    filterIndex : 0,
+
+    displayDirectory : null,
+
+    addToRecentDocs : false,
+
+    get mode() {
+        return this._mode;
+    },
+
+    get file() {
+        if (!this._files.length) {
+            return null;
+        }
+        return this._files[0];
+    },
+
+    get fileURL() {
+        let file = this.file;
+        if (!file) {
+            return null;
+        }
+        return Services.io.newFileURI(file);
+    },
+
+    get files() {
+        return new FilesEnumerator(this._files);
+    },
+
+    get domfile() {
+        let file = this.file;
+        if (!file) {
+            return null;
+        }
+        return this._getWindowUtils().wrapDOMFile(file);
+    },
+
+    get domfiles() {
+        let utils = this._getWindowUtils();
+        return new FilesEnumerator(this._files.map(function(file) {
+            return utils.wrapDOMFile(file);
+        }));
+    },
+
+    /* ----------  nsIFilePicker methods  ---------- */
+
+    init : function(parent, title, mode) {
+        this._window = parent;
+        this._title = title;
+        this._mode = mode;
+    },
+
+    appendFilters : function(filterMask) {
+    },
+
+    appendFilter : function(title, filter) {
+    },
+
+    show : function() {
+        this._files = [];
+
+        let webpage = getWebpageFromContentWindow(this._window);
+        if (!webpage) {
+            return Ci.nsIFilePicker.returnCancel;
+        }
+
+        let result = webpage.filePickerRequested(this.defaultString);
+        if (!result) {
+            return Ci.nsIFilePicker.returnCancel;
+        }
+        if (!Array.isArray(result)) {
+            result = [result];
+        }
+        if (this._mode != Ci.nsIFilePicker.modeOpenMultiple) {
+            result = result.slice(0, 1);
+        }
+
+        let workingDir = Services.dirsvc.get("CurWorkD", Ci.nsIFile);
+        let mustExist = (this._mode != Ci.nsIFilePicker.modeSave);
+        result.forEach(function(filename) {
+            let file = getMozFile(String(filename), workingDir);
+            if (!mustExist || file.exists()) {
+                this._files.push(file);
+            }
+        }, this);
+
+        if (!this._files.length) {
+            return Ci.nsIFilePicker.returnCancel;
+        }
+        return Ci.nsIFilePicker.returnOK;
+    },
+
+    open : function(callback) {
+        let me = this;
+        Services.tm.mainThread.dispatch(function() {
+            let result = me.show();
+            if (callback) {
+                callback.done(result);
+            }
+        }, Ci.nsIThread.DISPATCH_NORMAL);
+    },
+
+    /* ----------  internal methods  ---------- */
+
+    _getWindowUtils : function() {
+        return this._window.QueryInterface(Ci.nsIInterfaceRequestor)
+                           .getInterface(Ci.nsIDOMWindowUtils);
+    }
+}
+
+this.NSGetFactory = XPCOMUtils.generateNSGetFactory([FilePicker]);
@@ -12,12 +12,161 @@ const IDS = Ci.nsIDocShell;
 const IWN = Ci.nsIWebNavigation;
 
 
-function makeLoadFlag(type, flags) { return type | (flags << 16);}
+/**
+ * Records what triggers the next navigation in a <browser>: a click on
+ * a link, or a navigation in the session history. The docshell load type
+ * cannot be used, since it is not updated yet when the content policy
+ * is called.
+ */
+function NavigationTracker(browser) {
+    this._browser = browser;
+    this._pending = null;
+    browser.addEventListener("click", this, false);
+    try {
+        browser.sessionHistory.addSHistoryListener(this);
+    }
+    catch(e) {}
+}
+
+NavigationTracker.prototype = {
+    QueryInterface : XPCOMUtils.generateQI([Ci.nsIDOMEventListener,
+                                            Ci.nsISHistoryListener,
+                                            Ci.nsISupportsWeakReference]),
 
-const LOAD_LINK = makeLoadFlag(IDS.LOAD_CMD_NORMAL, IWN.LOAD_FLAGS_IS_LINK);
-const LOAD_HISTORY = makeLoadFlag(IDS.LOAD_CMD_HISTORY, IWN.LOAD_FLAGS_NONE);
+    /**
+     * @param string type  the navigation type
+     * @param string url  the url of the next document, or null if it is not known
+     * @param boolean ignoreQuery  true if the query of the url should not be compared
+     */
+    setPending : function(type, url, ignoreQuery) {
+        this._pending = { type: type, url: url, ignoreQuery: ignoreQuery };
+    },
+
+    /**
+     * @param nsIURI uri  the url of the document that will be loaded
+     * @return string the navigation type of the document
+     */
+    getNavType : function(uri) {
+        let pending = this._pending;
+        this._pending = null;
+        if (!pending) {
+            return "Other";
+        }
+        if (pending.url === null) {
+            return pending.type;
+        }
+        let url = uri.specIgnoringRef;
+        if (pending.ignoreQuery) {
+            url = url.replace(/\?.*$/, "");
+        }
+        return (url == pending.url ? pending.type : "Other");
+    },
+
+    // nsIDOMEventListener
+    handleEvent : function(event) {
+        if (event.type != "click" || event.button != 0 || event.defaultPrevented) {
+            return;
+        }
+        let node = event.target;
+        while (node && !(node instanceof Ci.nsIDOMHTMLAnchorElement)
+               && !(node instanceof Ci.nsIDOMHTMLAreaElement)) {
+            node = node.parentNode;
+        }
+        if (node && node.href) {
+            this.setPending("LinkClicked", node.href.replace(/#.*$/, ""), false);
+        }
+    },
+
+    _setHistoryPending : function(index, isReload) {
+        let type = (isReload ? "Reload" : "BackOrForward");
+        try {
+            let entry = this._browser.sessionHistory.getEntryAtIndex(index, false)
+                                                    .QueryInterface(Ci.nsISHEntry);
+            if (entry.postData) {
+                type = "FormResubmitted";
+            }
+        }
+        catch(e) {}
+        this.setPending(type, null, false);
+    },
+
+    // nsISHistoryListener
+    OnHistoryNewEntry : function(newURI) {},
+
+    OnHistoryGoBack : function(backURI) {
+        this._setHistoryPending(this._browser.sessionHistory.index - 1, false);
+        return true;
+    },
+
+    OnHistoryGoForward : function(forwardURI) {
+        this._setHistoryPending(this._browser.sessionHistory.index + 1, false);
+        return true;
+    },
+
+    OnHistoryGotoIndex : function(index, gotoURI) {
+        this._setHistoryPending(index, false);
+        return true;
+    },
+
+    OnHistoryReload : function(reloadURI, reloadFlags) {
+        this._setHistoryPending(this._browser.sessionHistory.index, true);
+        return true;
+    },
+
+    OnHistoryPurge : function(numEntries) {
+        return true;
+    },
+
+    OnHistoryReplaceEntry : function(index) {}
+}
+
+/**
+ * list of NavigationTracker, for each <browser> element
+ */
+var trackers = new WeakMap();
+
+function getTracker(browser, create) {
+    if (trackers.has(browser)) {
+        return trackers.get(browser);
+    }
+    if (!create) {
+        return null;
+    }
+    let tracker = new NavigationTracker(browser);
+    trackers.set(browser, tracker);
+    return tracker;
+}
+
+/**
+ * observer of form submissions, to know when a navigation
+ * is due to a form
+ */
+var formSubmitObserver = {
+    QueryInterface : XPCOMUtils.generateQI([Ci.nsIObserver,
+                                            Ci.nsIFormSubmitObserver,
+                                            Ci.nsISupportsWeakReference]),
+
+    observe : function(subject, topic, data) {},
+
+    notify : function(form, window, actionURI, cancelSubmit) {
+        try {
+            let browser = window.QueryInterface(Ci.nsIInterfaceRequestor)
+                                .getInterface(IWN)
+                                .QueryInterface(IDS)
+                                .chromeEventHandler;
+            let tracker = getTracker(browser, false);
+            if (tracker) {
+                tracker.setPending("FormSubmitted",
+                                   actionURI.specIgnoringRef.replace(/\?.*$/, ""), true);
+            }
+        }
+        catch(e) {}
+        return true;
+    }
+}
 
 function Navigation() {
+    Services.obs.addObserver(formSubmitObserver, "earlyformsubmit", true);
 }
 
 Navigation.prototype = {
@@ -31,12 +180,6 @@ Navigation.prototype = {
     shouldLoad : function(aContentType, aContentLocation, aRequestOrigin, aContext, aMimeTypeGuess, aExtra) {
         let result = Ci.nsIContentPolicy.ACCEPT;
 
-        // ignore content that is not a document
-        if (Ci.nsIContentPolicy.TYPE_DOCUMENT != aContentType
-            && Ci.nsIContentPolicy.TYPE_SUBDOCUMENT != aContentType) {
-          return result;
-        }
-
         // ignore content that is loaded from chrome, about, resource protocols etc..
         if (aContentLocation.scheme != 'http'
             && aContentLocation.scheme != 'https'
@@ -46,18 +189,32 @@ Navigation.prototype = {
             return result;
         }
 
+        // for content that is not a document, only check the url against
+        // allowed and blocked urls of the webpage
+        if (Ci.nsIContentPolicy.TYPE_DOCUMENT != aContentType
+            && Ci.nsIContentPolicy.TYPE_SUBDOCUMENT != aContentType) {
+            let webpage = this._findWebpageOfResource(aContext);
+            if (webpage && !webpage._isUrlAllowed(aContentLocation.spec)) {
+                result = Ci.nsIContentPolicy.REJECT_REQUEST;
+            }
+            return result;
+        }
+
         //------ retrieve the corresponding webpage object
-        let [webpage, navtype] = this._findWebpage(aContext);
+        let [webpage, navtype] = this._findWebpage(aContext, aContentLocation);
         if (!webpage)
             return result;
 
+        let isAllowed = webpage._isUrlAllowed(aContentLocation.spec);
+
         // call the navigationRequest callback
-        webpage.navigationRequested(aContentLocation.spec, navtype, !webpage.navigationLocked,
+        webpage.navigationRequested(aContentLocation.spec, navtype,
+                                    (!webpage.navigationLocked && isAllowed),
                                     (Ci.nsIContentPolicy.TYPE_DOCUMENT == aContentType));
 
 
         // if the navigation request is blocked, refuse the content
-        if (webpage.navigationLocked) {
+        if (webpage.navigationLocked || !isAllowed) {
             result = Ci.nsIContentPolicy.REJECT_REQUEST;
         }
         return result;
@@ -75,8 +232,9 @@ Navigation.prototype = {
      *     - the element that own the content (<browser>, <iframe>...)
      *     - or the window
      *     - or the document (of the content ?).
+     * @param nsIURI uri  the url of the document to load
      */
-    _findWebpage : function(aContext) {
+    _findWebpage : function(aContext, uri) {
         // this function mimic NS_CP_GetDocShellFromContext
         if (!aContext) {
             return [null, null];
@@ -97,8 +255,10 @@ Navigation.prototype = {
                 docshell = node.docShell;
             }
 
-            let navType = this._getNavType(docshell);
-            return [(node.webpage?node.webpage: null), navType];
+            if (!node.webpage) {
+                return [null, null];
+            }
+            return [node.webpage, this._getNavType(docshell, uri)];
         }
         catch(e){}
 
@@ -109,13 +269,13 @@ Navigation.prototype = {
             if (aContext instanceof Ci.nsIDOMChromeWindow) {
                 let browser = aContext.document.getElementById('webpage');
                 if (browser) {
-                    let navType = this._getNavType(browser.docShell);
+                    let navType = this._getNavType(browser.docShell, uri);
                     return [browser.webpage, navType];
                 }
                 return [null, null];
             }
             else {
-                return this._getWebpageAndNavType(aContext);
+                return this._getWebPageAndNavType(aContext, uri);
             }
         }
         catch(e){}
@@ -124,12 +284,37 @@ Navigation.prototype = {
         let doc;
         try {
             doc = aContext.QueryInterface(Ci.nsIDOMDocument);
-            return this._getWebPageAndNavType(doc.defaultView);
+            return this._getWebPageAndNavType(doc.defaultView, uri);
         }
         catch(e){}
         return [null, null];
     },
 
+    /**
+     * @param mixed aContext  the element, the document or the window
+     *                        that loads the resource
+     * @return webpage  the webpage containing it, or null
+     */
+    _findWebpageOfResource : function(aContext) {
+        if (!aContext) {
+            return null;
+        }
+        let win = null;
+        if (aContext instanceof Ci.nsIDOMDocument) {
+            win = aContext.defaultView;
+        }
+        else if (aContext instanceof Ci.nsIDOMNode) {
+            win = (aContext.ownerDocument ? aContext.ownerDocument.defaultView : null);
+        }
+        else if (aContext instanceof Ci.nsIDOMWindow) {
+            win = aContext;
+        }
+        if (!win || win instanceof Ci.nsIDOMChromeWindow) {
+            return null;
+        }
+        return getWebpageFromContentWindow(win);
+    },
+
     _getDocShell : function(contentWindow) {
         try {
             return contentWindow.QueryInterface(Ci.nsIInterfaceRequestor)
@@ -140,38 +325,30 @@ Navigation.prototype = {
             return null;
         }
     },
-    _getWebPageAndNavType : function (contentWindow) {
+    _getWebPageAndNavType : function (contentWindow, uri) {
         let dc = this._getDocShell(contentWindow);
-        if (dc)
-            return [this._getWebPage(dc), this._getNavType(dc)];
+        if (dc) {
+            let webpage = this._getWebPage(dc);
+            if (webpage)
+                return [webpage, this._getNavType(dc, uri)];
+        }
         return [null, null]
     },
     _getWebPage : function(docshell) {
         return getWebpageFromDocShell(docshell);
     },
-    _getNavType : function(docshell) {
-        let navType = "Undefined";
-
-        // FIXME it seems that the loadType on the docshell is not updated
-        // at this time, and we have the value of the previous loading.
-        // so the value of navtype is not correct. We should not use it :-/
-        /*dump("loadType="+docshell.loadType+"\n")
-        if (docshell.loadType & IDS.LOAD_CMD_RELOAD) {
-            navType = "Reload";
-        }
-        else if (docshell.loadType & IDS.LOAD_CMD_HISTORY
-                 ||docshell.loadType & IDS.LOAD_CMD_PUSHSTATE) {
-            navType = "BackOrForward";
-        }
-        else if (docshell.loadType == LOAD_LINK) {
-            navType = "LinkClicked";
+    /**
+     * @param nsIDocShell docshell  a docshell of the browser where the document will be loaded
+     * @param nsIURI uri  the url of the document to load
+     * @return string  "LinkClicked", "FormSubmitted", "BackOrForward", "Reload",
+     *                 "FormResubmitted" or "Other"
+     */
+    _getNavType : function(docshell, uri) {
+        let browser = docshell.chromeEventHandler;
+        if (!browser) {
+            return "Other";
         }
-        else if (docshell.loadType & IDS.LOAD_CMD_NORMAL) {
-            navType = "Other"
-        }*/
-        //FIXME: "FormSubmitted" "FormResubmitted"
-
-        return navType;
+        return getTracker(browser, true).getNavType(uri);
     }
 }
 
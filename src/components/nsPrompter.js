@@ -11,6 +11,7 @@ const Cu = Components.utils;
 Cu.import("resource://gre/modules/XPCOMUtils.jsm");
 Cu.import("resource://gre/modules/Services.jsm");
 Cu.import("resource://slimerjs/slUtils.jsm");
+Cu.import("resource://slimerjs/slConfiguration.jsm");
 
 function Prompter() {
     // Note that EmbedPrompter clones this implementation.
@@ -34,7 +35,10 @@ Prompter.prototype = {
     getPrompt : function (domWin, iid) {
         // This is still kind of dumb; the C++ code delegated to login manager
         // here, which in turn calls back into us via nsIPromptService2.
-        if (iid.equals(Ci.nsIAuthPrompt2) || iid.equals(Ci.nsIAuthPrompt)) {
+        // for web pages, authentication is managed by the webpage object,
+        // so we don't use the password manager
+        if ((iid.equals(Ci.nsIAuthPrompt2) || iid.equals(Ci.nsIAuthPrompt))
+            && !getWebpageFromContentWindow(domWin)) {
             try {
                 let pwmgr = Cc["@mozilla.org/passwordmanager/authpromptfactory;1"].
                             getService(Ci.nsIPromptFactory);
@@ -786,6 +790,30 @@ Ci.nsIAuthPrompt2, Ci.nsIWritablePropertyBag2]),
 
 
     promptAuth : function (channel, level, authInfo, checkLabel, checkValue) {
+        // credentials for the proxy are given by the --proxy-auth option
+        if (authInfo.flags & Ci.nsIAuthInformation.AUTH_PROXY) {
+            if (!slConfiguration.proxyAuthUser
+                || (authInfo.flags & Ci.nsIAuthInformation.PREVIOUS_FAILED)) {
+                return false;
+            }
+            PromptUtils.setAuthInfo(authInfo, slConfiguration.proxyAuthUser,
+                                    slConfiguration.proxyAuthPassword || "");
+            return true;
+        }
+
+        let webpage = this._findWebPage();
+        if (webpage) {
+            let [host] = PromptUtils.getAuthTarget(channel, authInfo);
+            let credentials = webpage.authenticationRequired(host, authInfo.realm,
+                                                             authInfo.authenticationScheme,
+                                                             !!(authInfo.flags & Ci.nsIAuthInformation.PREVIOUS_FAILED));
+            if (!credentials) {
+                return false;
+            }
+            PromptUtils.setAuthInfo(authInfo, credentials.username, credentials.password);
+            return true;
+        }
+
         let message = PromptUtils.makeAuthMessage(channel, authInfo);
 
         let [username, password] = PromptUtils.getAuthInfo(authInfo);
@@ -0,0 +1,29 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+/*
+ * The fs module of scripts: the file module of the Add-on SDK,
+ * with some functions specific to SlimerJS
+ */
+
+const file = require("sdk/io/file");
+const base64 = require("sdk/base64");
+
+Object.getOwnPropertyNames(file).forEach(function(name) {
+    Object.defineProperty(exports, name, Object.getOwnPropertyDescriptor(file, name));
+});
+
+/**
+ * write into the given file the body of a response object
+ * received by webpage.onResourceReceived. The body is decoded
+ * if it is encoded in base64 (see webpage.captureContentEncoding)
+ */
+exports.writeResponseBody = function(filename, response) {
+    let body = response.body || "";
+    if (response.bodyEncoding == "base64") {
+        body = base64.decode(body);
+    }
+    file.write(filename, body, "wb");
+};
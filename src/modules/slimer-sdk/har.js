@@ -0,0 +1,230 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+/*
+ * Records requests and responses given by net-log during the load of a page,
+ * to build a HAR document (http://www.softwareishard.com/blog/har-12-spec/)
+ */
+
+const {Cc, Ci} = require("chrome");
+
+const appInfo = Cc["@mozilla.org/xre/app-info;1"].getService(Ci.nsIXULAppInfo);
+
+const PAGE_ID = "page_1";
+
+/**
+ * parse the query string of the given url
+ * @return array list of {name, value}
+ */
+const parseQueryString = function(url) {
+    let query = url.replace(/#.*$/, "");
+    let pos = query.indexOf("?");
+    if (pos == -1) {
+        return [];
+    }
+    let decode = function(str) {
+        try {
+            return decodeURIComponent(str.replace(/\+/g, " "));
+        }
+        catch(e) {
+            return str;
+        }
+    };
+    return query.substr(pos + 1).split("&").filter(function(param) {
+        return param != "";
+    }).map(function(param) {
+        let [name, value] = param.split("=");
+        return {
+            name: decode(name),
+            value: decode(value || "")
+        };
+    });
+};
+
+/**
+ * returns a copy of the given list of headers, as HAR headers
+ */
+const copyHeaders = function(headers) {
+    return (headers || []).map(function(header) {
+        return { name: header.name, value: header.value };
+    });
+};
+
+const getTotalTime = function(timings) {
+    let total = 0;
+    for (let phase in timings) {
+        if (timings[phase] > 0) {
+            total += timings[phase];
+        }
+    }
+    return total;
+};
+
+const HarLog = function() {
+    this.reset();
+};
+HarLog.prototype = {
+
+    /**
+     * forget all recorded requests. To call when a new page is loading
+     */
+    reset: function() {
+        this.startTime = new Date();
+        this.entries = [];
+        this.entriesById = {};
+    },
+
+    /**
+     * @param object request  the request data given by net-log
+     */
+    addRequest: function(request) {
+        let entry = {
+            pageref: PAGE_ID,
+            startedDateTime: request.time.toISOString(),
+            time: 0,
+            request: {
+                method: request.method,
+                url: request.url,
+                httpVersion: "HTTP/1.1",
+                cookies: [],
+                headers: copyHeaders(request.headers),
+                queryString: parseQueryString(request.url),
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: null,
+            cache: {},
+            timings: {
+                blocked: -1,
+                dns: -1,
+                connect: -1,
+                send: -1,
+                wait: 0,
+                receive: 0
+            }
+        };
+        if (request.postData) {
+            entry.request.postData = {
+                mimeType: request.postData.mimeType,
+                params: [],
+                text: request.postData.text
+            };
+            if (request.postData.binary) {
+                entry.request.postData.encoding = "base64";
+            }
+            entry.request.bodySize = request.postData.size;
+        }
+        this.entries.push(entry);
+        this.entriesById[request.id] = entry;
+    },
+
+    /**
+     * @param object response  the response data given by net-log, at the "end" stage
+     */
+    addResponse: function(response) {
+        if (response.stage != "end" || !(response.id in this.entriesById)) {
+            return;
+        }
+        let entry = this.entriesById[response.id];
+        let content = {
+            size: response.bodySize,
+            mimeType: response.contentType || ""
+        };
+        if (response.body) {
+            content.text = response.body;
+            if (response.bodyEncoding) {
+                content.encoding = response.bodyEncoding;
+            }
+        }
+        entry.request.httpVersion = response.httpVersion;
+        entry.response = {
+            status: response.status,
+            statusText: response.statusText,
+            httpVersion: response.httpVersion,
+            cookies: [],
+            headers: copyHeaders(response.headers),
+            content: content,
+            redirectURL: response.redirectURL || "",
+            headersSize: -1,
+            bodySize: response.bodySize
+        };
+        if (response.timings) {
+            entry.timings = response.timings;
+        }
+        entry.time = getTotalTime(entry.timings);
+    },
+
+    /**
+     * @param object error  the error data given by net-log
+     */
+    addError: function(error) {
+        if (!(error.id in this.entriesById)) {
+            return;
+        }
+        let entry = this.entriesById[error.id];
+        if (!entry.response) {
+            entry.response = {
+                status: 0,
+                statusText: "",
+                httpVersion: "",
+                cookies: [],
+                headers: [],
+                content: { size: 0, mimeType: "" },
+                redirectURL: "",
+                headersSize: -1,
+                bodySize: -1
+            };
+        }
+        entry.response.comment = error.errorString;
+    },
+
+    /**
+     * build the HAR document
+     * @param DOMWindow window  the window of the loaded page
+     * @param string title  the title of the page
+     * @return object
+     */
+    getHar: function(window, title) {
+        let startTime = this.startTime.getTime();
+        let pageTimings = { onContentLoad: -1, onLoad: -1 };
+        if (window && window.performance) {
+            let timing = window.performance.timing;
+            if (timing.navigationStart) {
+                startTime = timing.navigationStart;
+            }
+            if (timing.domContentLoadedEventStart) {
+                pageTimings.onContentLoad = timing.domContentLoadedEventStart - startTime;
+            }
+            if (timing.loadEventStart) {
+                pageTimings.onLoad = timing.loadEventStart - startTime;
+            }
+        }
+
+        return {
+            log: {
+                version: "1.2",
+                creator: {
+                    name: "SlimerJS",
+                    version: appInfo.version
+                },
+                browser: {
+                    name: "Gecko",
+                    version: appInfo.platformVersion
+                },
+                pages: [{
+                    startedDateTime: (new Date(startTime)).toISOString(),
+                    id: PAGE_ID,
+                    title: title || "",
+                    pageTimings: pageTimings
+                }],
+                // requests without response are still pending
+                entries: this.entries.filter(function(entry) {
+                    return entry.response !== null;
+                })
+            }
+        };
+    }
+};
+exports.HarLog = HarLog;
@@ -6,6 +6,9 @@
 const {Cc, Ci, Cr} = require("chrome");
 const {mix} = require("sdk/core/heritage");
 const unload = require("sdk/system/unload");
+const timers = require("sdk/timers");
+const base64 = require("sdk/base64");
+const {mockRequest} = require("./net-mock");
 
 const observers = require("sdk/deprecated/observer-service");
 
@@ -14,6 +17,14 @@ const ioService = Cc["@mozilla.org/network/io-service;1"].getService(Ci.nsIIOSer
 
 let browserMap = new WeakMap();
 
+// document requests cancelled by changeUrl() on Gecko < 20, with
+// the url loaded instead
+let replacedRequests = new WeakMap();
+
+// time (in microseconds) when requests were completely sent, given
+// by the STATUS_WAITING_FOR transport status
+let sentRequests = new WeakMap();
+
 exports.registerBrowser = function(browser, options) {
     let data = {
         options: mix({
@@ -21,13 +32,43 @@ exports.registerBrowser = function(browser, options) {
             onRequest: null,
             onResponse: null,
 
+            // called when a request fails. Receives an object
+            // with id, url, errorCode and errorString
+            onError: null,
+
+            // called before sending a request, with the request data.
+            // It returns a response ({status, headers, body}) to send
+            // to the page instead of fetching the request, or null
+            getMockResponse: null,
+
             // These two if you need to tamper data
             _onRequest: null,
             _onResponse: null,
 
+            // number of milliseconds after which a request is cancelled
+            // (0 = no timeout), and the callback called in this case. It
+            // receives an object with id, url, errorCode and errorString
+            resourceTimeout: 0,
+            onTimeout: null,
+
             // Mime types to capture (regexp array)
             captureTypes: [],
 
+            // encoding of captured bodies: "" to have them as binary
+            // strings, or "base64"
+            captureEncoding: "",
+
+            // maximum number of bytes of a captured body (0 = no limit)
+            captureMaxSize: 0,
+
+            // maximum number of bytes of the body of a request
+            // given into the postData property of the request data
+            postDataMaxSize: 65536,
+
+            // function returning true when the body of requests should be
+            // read into postData. null to always read it
+            withPostData: null,
+
 
             // --- callbacks for the main document,
             // that makes net-log a SUPER NET LOGGER. ta-da!
@@ -134,12 +175,55 @@ const onRequestStart = function(subject, data) {
     requestList.push(subject.name);
     let index = requestList.length;
 
+    // to have the timings of the request in the HAR log
+    try {
+        subject.QueryInterface(Ci.nsITimedChannel).timingEnabled = true;
+    }
+    catch(e) {}
+
     if (typeof(options._onRequest) === "function") {
         options._onRequest(subject);
     }
 
+    let requestData = null;
+    if (typeof(options.onRequest) === "function"
+        || typeof(options.getMockResponse) === "function") {
+        let withPostData = (typeof(options.withPostData) !== "function"
+                            || options.withPostData());
+        requestData = traceRequest(index, subject, withPostData, options.postDataMaxSize);
+    }
+
     if (typeof(options.onRequest) === "function") {
-        options.onRequest(traceRequest(index, subject));
+        options.onRequest(requestData, networkRequest(subject));
+    }
+
+    if (typeof(options.getMockResponse) === "function"
+        && Components.isSuccessCode(subject.status)) {
+        let response = options.getMockResponse(requestData);
+        if (response && !mockRequest(subject, response)) {
+            // the request must not reach the network: the script
+            // expects a fake response
+            console.warn("Only HTTP requests can be mocked, the request is aborted: " + subject.URI.spec);
+            subject.cancel(Cr.NS_BINDING_ABORTED);
+        }
+    }
+
+    let timeout = parseInt(options.resourceTimeout, 10);
+    if (timeout > 0) {
+        timers.setTimeout(function() {
+            if (!subject.isPending()) {
+                return;
+            }
+            if (typeof(options.onTimeout) === "function") {
+                options.onTimeout({
+                    id: index,
+                    url: subject.URI.spec,
+                    errorCode: 408,
+                    errorString: "Network timeout on resource."
+                });
+            }
+            subject.cancel(Cr.NS_ERROR_NET_TIMEOUT);
+        }, timeout);
     }
 };
 
@@ -150,15 +234,8 @@ const onRequestResponse = function(subject, data) {
     }
 
     // Get request ID
-    let index;
     let {options, requestList} = browserMap.get(browser);
-    requestList = requestList.map(function(val, i) {
-        if (subject.name == val) {
-            index = i + 1;
-            return val;
-        }
-        return val;
-    });
+    let index = getRequestIndex(requestList, subject);
 
     if (typeof(options._onResponse) === "function") {
         options._onResponse(subject);
@@ -175,6 +252,7 @@ const TracingListener = function(subject, index, options) {
     this.response = traceResponse(index, subject);
     this.data = [];
     this.dataLength = 0;
+    this.capturedLength = 0;
 };
 TracingListener.prototype = {
     onStartRequest: function(request, context) {
@@ -196,12 +274,17 @@ TracingListener.prototype = {
             if (typeof(request.URI) !== "undefined" && this._inWindow(request)) {
                 this.dataLength += count;
                 let win = getWindowForRequest(request);
-                if (this._defragURL(win.location) == request.URI.spec ||
-                    /^image\//.test(request.contentType) ||
-                    this._shouldCapture(request))
+                // images are read entirely, to give their information, whatever
+                // the maximum size of the capture. Their body is truncated later
+                let isImage = /^image\//.test(request.contentType);
+                if (isImage ||
+                    ((this._defragURL(win.location) == request.URI.spec ||
+                      this._shouldCapture(request)) &&
+                     !this._isCaptureFull()))
                 {
                     let [data, newIS] = this._captureData(inputStream, count);
                     this.data.push(data);
+                    this.capturedLength += count;
                     inputStream = newIS;
                 }
             }
@@ -225,6 +308,26 @@ TracingListener.prototype = {
             return;
         }
 
+        // errors of a redirection are reported with the redirected request
+        if (typeof(this.options.onError) == "function" && !this.response.redirectURL) {
+            let error = null;
+            if (!Components.isSuccessCode(statusCode)) {
+                error = traceError(this.response.id, request, statusCode);
+            }
+            else if (this.response.status >= 400) {
+                error = {
+                    id: this.response.id,
+                    url: this.response.url,
+                    errorCode: this.response.status,
+                    errorString: "Error downloading " + this.response.url
+                                 + " - server replied: " + this.response.statusText
+                };
+            }
+            if (error) {
+                this.options.onError(error);
+            }
+        }
+
         if (typeof(this.options.onResponse) != "function") {
             return;
         }
@@ -234,6 +337,8 @@ TracingListener.prototype = {
         this.response.time = new Date();
         this.response.body = this.data.join("");
         this.response.bodySize = this.dataLength;
+        this.response.timings = traceTimings(request);
+        this.response.httpVersion = getHttpVersion(request);
 
         if (this.response.redirectURL) {
             this.response.body = "";
@@ -250,6 +355,17 @@ TracingListener.prototype = {
                 this.response.body = "";
             }
         }
+        if (this.response.body) {
+            let maxSize = parseInt(this.options.captureMaxSize, 10);
+            if (maxSize > 0 && this.dataLength > maxSize) {
+                this.response.body = this.response.body.substr(0, maxSize);
+                this.response.bodyTruncated = true;
+            }
+            if (this.options.captureEncoding == "base64") {
+                this.response.body = base64.encode(this.response.body);
+                this.response.bodyEncoding = "base64";
+            }
+        }
         this.data = [];
 
         this.options.onResponse(mix({}, this.response));
@@ -273,6 +389,11 @@ TracingListener.prototype = {
         });
     },
 
+    _isCaptureFull: function() {
+        let maxSize = parseInt(this.options.captureMaxSize, 10);
+        return (maxSize > 0 && this.capturedLength >= maxSize);
+    },
+
     _captureData: function(inputStream, count) {
         let binaryInputStream = Cc["@mozilla.org/binaryinputstream;1"]
                 .createInstance(Ci.nsIBinaryInputStream);
@@ -308,21 +429,165 @@ TracingListener.prototype = {
 /*
 Request & Response objects
 */
-const traceRequest = function(id, request) {
+const traceRequest = function(id, request, withPostData, postDataMaxSize) {
     request.QueryInterface(Ci.nsIHttpChannel);
     let headers = [];
+    let mimeType = "";
     request.visitRequestHeaders(function(name, value) {
         value.split("\n").forEach(function(v) {
             headers.push({"name": name, "value": v});
         });
+        if (name.toLowerCase() == "content-type") {
+            mimeType = value;
+        }
     });
 
+    let postData = (withPostData ? tracePostData(request, postDataMaxSize) : null);
+    if (postData && !postData.mimeType) {
+        postData.mimeType = mimeType;
+    }
+
     return {
         id: id,
         method: request.requestMethod,
         url: request.URI.spec,
         time: new Date(),
-        headers: headers
+        headers: headers,
+        postData: postData
+    };
+};
+
+// maximum size of headers of a MIME upload stream, read in addition
+// to the maximum size of the body
+const MAX_HEADERS_SIZE = 8192;
+
+/**
+ * read the body of the given request, without consuming its upload stream
+ * @param nsIHttpChannel request
+ * @param integer maxSize  maximum number of bytes to read
+ * @return object  {mimeType, text, size, truncated, binary}, or null if
+ *          the request does not have a body. If binary is true, the text
+ *          is encoded in base64, else it is the body decoded from UTF-8
+ */
+const tracePostData = function(request, maxSize) {
+    let stream;
+    try {
+        stream = request.QueryInterface(Ci.nsIUploadChannel).uploadStream;
+    }
+    catch(e) {
+        return null;
+    }
+    if (!stream || !(stream instanceof Ci.nsISeekableStream)) {
+        return null;
+    }
+
+    // with a MIME stream (like for a submitted form), headers are in the
+    // stream, before the body
+    let mimeType = "";
+    let hasHeaders = (stream instanceof Ci.nsIMIMEInputStream);
+    let data = "", size = 0;
+    let position = stream.tell();
+    try {
+        stream.seek(Ci.nsISeekableStream.NS_SEEK_SET, 0);
+        let binaryStream = Cc["@mozilla.org/binaryinputstream;1"]
+                                .createInstance(Ci.nsIBinaryInputStream);
+        binaryStream.setInputStream(stream);
+        size = stream.available();
+        // we don't read more than needed
+        let length = size;
+        if (maxSize >= 0) {
+            length = Math.min(size, maxSize + (hasHeaders ? MAX_HEADERS_SIZE : 0));
+        }
+        data = binaryStream.readBytes(length);
+    }
+    catch(e) {
+        return null;
+    }
+    finally {
+        stream.seek(Ci.nsISeekableStream.NS_SEEK_SET, position);
+    }
+
+    if (hasHeaders) {
+        let pos = data.indexOf("\r\n\r\n");
+        if (pos != -1) {
+            let match = /^content-type:\s*(.*)$/im.exec(data.substr(0, pos));
+            if (match) {
+                mimeType = match[1];
+            }
+            data = data.substr(pos + 4);
+            size -= pos + 4;
+        }
+    }
+
+    let truncated = false;
+    if (maxSize >= 0 && size > maxSize) {
+        data = data.substr(0, maxSize);
+        truncated = true;
+    }
+
+    let text = null;
+    // control characters other than tab and new lines are not in text
+    if (!/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(data)) {
+        try {
+            text = decodeURIComponent(escape(data));
+        }
+        catch(e) {
+            // a truncated text may end in the middle of an UTF-8 character
+            if (truncated) {
+                try {
+                    text = decodeURIComponent(escape(data.replace(/[\xC0-\xFF][\x80-\xBF]*$/, "")));
+                }
+                catch(e) {}
+            }
+        }
+    }
+
+    return {
+        mimeType: mimeType,
+        text: (text === null ? base64.encode(data) : text),
+        size: size,
+        truncated: truncated,
+        binary: (text === null)
+    };
+};
+
+/**
+ * object given with the request data, to modify the request
+ * before it is sent
+ */
+const networkRequest = function(request) {
+    return {
+        abort: function() {
+            request.cancel(Cr.NS_BINDING_ABORTED);
+        },
+        changeUrl: function(url) {
+            let uri = ioService.newURI(url, null, request.URI);
+            if ("redirectTo" in request) {
+                request.redirectTo(uri);
+                return;
+            }
+            // nsIHttpChannel.redirectTo() is available since Gecko 20. Before,
+            // we can only cancel the load of a document and load the new url
+            // into its docshell
+            let window = null;
+            if (request.loadFlags & Ci.nsIChannel.LOAD_DOCUMENT_URI) {
+                window = getWindowForRequest(request);
+            }
+            if (!window) {
+                throw new Error("changeUrl() is supported only for documents with this version of Gecko");
+            }
+            let webNav = window.QueryInterface(Ci.nsIInterfaceRequestor)
+                               .getInterface(Ci.nsIWebNavigation);
+            let referrer = request.referrer;
+            replacedRequests.set(request, uri.spec);
+            request.cancel(Cr.NS_BINDING_ABORTED);
+            timers.setTimeout(function() {
+                webNav.loadURI(uri.spec, Ci.nsIWebNavigation.LOAD_FLAGS_NONE, referrer, null, null);
+            }, 0);
+        },
+        setHeader: function(name, value) {
+            request.setRequestHeader(name, value, false);
+        }
     };
 };
 
@@ -360,7 +625,122 @@ const traceResponse = function(id, request) {
 
         // Extensions
         referrer: request.referrer != null && request.referrer.spec || "",
-        body: ""
+        body: "",
+        bodyEncoding: "",
+        bodyTruncated: false
+    };
+};
+
+
+/**
+ * returns the duration of each phase of the given request, in milliseconds,
+ * as defined in the HAR format: blocked, dns, connect, send, wait, receive.
+ * -1 is given for phases that do not apply to the request, or that are
+ * unknown.
+ */
+const traceTimings = function(request) {
+    let timings = {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        send: -1,
+        wait: 0,
+        receive: 0
+    };
+    let t;
+    try {
+        t = request.QueryInterface(Ci.nsITimedChannel);
+        if (!t.timingEnabled) {
+            return timings;
+        }
+    }
+    catch(e) {
+        return timings;
+    }
+
+    // timestamps are in microseconds, and are 0 when not available
+    let duration = function(start, end) {
+        if (!start || !end || end < start) {
+            return -1;
+        }
+        return Math.round((end - start) / 1000);
+    };
+
+    let start = t.asyncOpenTime || t.channelCreationTime;
+    if (t.cacheReadStartTime) {
+        // the response comes from the cache
+        timings.blocked = Math.max(0, duration(start, t.cacheReadStartTime));
+        timings.send = 0;
+        timings.receive = Math.max(0, duration(t.cacheReadStartTime, t.cacheReadEndTime));
+        return timings;
+    }
+
+    timings.dns = duration(t.domainLookupStartTime, t.domainLookupEndTime);
+    timings.connect = duration(t.connectStartTime, t.connectEndTime);
+    timings.blocked = duration(start, t.domainLookupStartTime || t.connectStartTime
+                                      || t.requestStartTime);
+    // requestStartTime is the time when the first byte of the request is
+    // sent. Without the end of the sending, the send phase is unknown
+    // and is counted into wait
+    let sentTime = (sentRequests.has(request) ? sentRequests.get(request) : 0);
+    timings.send = duration(t.requestStartTime, sentTime);
+    timings.wait = Math.max(0, duration(timings.send >= 0 ? sentTime : t.requestStartTime,
+                                        t.responseStartTime));
+    timings.receive = Math.max(0, duration(t.responseStartTime, t.responseEndTime));
+    return timings;
+};
+
+/**
+ * returns the HTTP version of the response, like "HTTP/1.1"
+ */
+const getHttpVersion = function(request) {
+    try {
+        let major = {}, minor = {};
+        request.QueryInterface(Ci.nsIHttpChannelInternal).getResponseVersion(major, minor);
+        return "HTTP/" + major.value + "." + minor.value;
+    }
+    catch(e) {
+        return "HTTP/1.1";
+    }
+};
+
+
+// messages of the most common network errors
+const NETWORK_ERRORS = {};
+NETWORK_ERRORS[Cr.NS_BINDING_ABORTED] = "Operation canceled";
+NETWORK_ERRORS[Cr.NS_ERROR_UNKNOWN_HOST] = "Host not found";
+NETWORK_ERRORS[Cr.NS_ERROR_CONNECTION_REFUSED] = "Connection refused";
+NETWORK_ERRORS[Cr.NS_ERROR_NET_TIMEOUT] = "Operation timed out";
+NETWORK_ERRORS[Cr.NS_ERROR_NET_RESET] = "Connection reset";
+NETWORK_ERRORS[Cr.NS_ERROR_NET_INTERRUPT] = "Connection interrupted";
+NETWORK_ERRORS[Cr.NS_ERROR_OFFLINE] = "Network is offline";
+NETWORK_ERRORS[Cr.NS_ERROR_UNKNOWN_PROXY_HOST] = "Proxy host not found";
+NETWORK_ERRORS[Cr.NS_ERROR_PROXY_CONNECTION_REFUSED] = "Proxy connection refused";
+NETWORK_ERRORS[Cr.NS_ERROR_MALFORMED_URI] = "Malformed URI";
+NETWORK_ERRORS[Cr.NS_ERROR_UNKNOWN_PROTOCOL] = "Protocol unknown";
+NETWORK_ERRORS[Cr.NS_ERROR_REDIRECT_LOOP] = "Redirection loop";
+NETWORK_ERRORS[Cr.NS_ERROR_FILE_NOT_FOUND] = "File not found";
+
+// errors of the security module (SSL...)
+const NS_ERROR_MODULE_SECURITY = 21;
+const NS_ERROR_MODULE_BASE_OFFSET = 0x45;
+
+const traceError = function(id, request, statusCode) {
+    let errorString;
+    if (statusCode in NETWORK_ERRORS) {
+        errorString = NETWORK_ERRORS[statusCode];
+    }
+    else if (((statusCode >>> 16) & 0x1fff) - NS_ERROR_MODULE_BASE_OFFSET == NS_ERROR_MODULE_SECURITY) {
+        errorString = "SSL handshake failed";
+    }
+    else {
+        errorString = "Network error";
+    }
+    return {
+        id: id,
+        url: request.URI.spec,
+        errorCode: statusCode,
+        errorString: errorString
     };
 };
 
@@ -369,6 +749,32 @@ const traceResponse = function(id, request) {
 Utils
 */
 
+/**
+ * returns the id of the given request
+ */
+const getRequestIndex = function(requestList, request) {
+    let index;
+    requestList.forEach(function(val, i) {
+        if (request.name == val) {
+            index = i + 1;
+        }
+    });
+    return index;
+};
+
+/**
+ * says if a response has been received for the given request
+ */
+const hasResponse = function(request) {
+    try {
+        request.QueryInterface(Ci.nsIHttpChannel);
+        return !!request.responseStatus;
+    }
+    catch(e) {
+        return false;
+    }
+};
+
 const imageInfo = function(response, data) {
     try {
         let bOS = Cc["@mozilla.org/binaryoutputstream;1"]
@@ -549,6 +955,34 @@ ProgressListener.prototype = {
         let uri = request.URI.spec;
         let loadContext = this.getLoadContext(request);
 
+        // requests that failed before receiving a response. Errors of
+        // other requests are reported by TracingListener.onStopRequest
+        if (flags & Ci.nsIWebProgressListener.STATE_STOP &&
+            flags & Ci.nsIWebProgressListener.STATE_IS_REQUEST &&
+            !Components.isSuccessCode(status) &&
+            status != Cr.NS_BINDING_REDIRECTED &&
+            status != Cr.NS_BINDING_RETARGETED &&
+            !hasResponse(request) &&
+            !replacedRequests.has(request) &&
+            typeof(this.options.onError) === "function" &&
+            browserMap.has(this.browser))
+        {
+            let {requestList} = browserMap.get(this.browser);
+            let index = getRequestIndex(requestList, request);
+            if (index !== undefined) {
+                this.options.onError(traceError(index, request, status));
+            }
+        }
+
+        if (replacedRequests.has(request)) {
+            // the document is not loaded: another url is loaded instead,
+            // like after a redirection
+            if (this.isFromMainWindow(loadContext) && this.mainPageURI == uri) {
+                this.mainPageURI = replacedRequests.get(request);
+            }
+            return;
+        }
+
         if (!this.isFromMainWindow(loadContext)) {
             // we receive a new status for a page that is loading in a frame
 
@@ -626,7 +1060,12 @@ ProgressListener.prototype = {
             console.exception(e);
         }
     },
-    onStatusChange : function(aWebProgress, aRequest, aStatus, aMessage){},
+    onStatusChange : function(aWebProgress, aRequest, aStatus, aMessage){
+        // the request is sent, the channel waits for the response
+        if (aStatus == Ci.nsISocketTransport.STATUS_WAITING_FOR && aRequest) {
+            sentRequests.set(aRequest, Date.now() * 1000);
+        }
+    },
     onSecurityChange : function(aWebProgress, aRequest, aState) { },
     debug : function(aWebProgress, aRequest) {},
     onProgressChange : function (aWebProgress, aRequest,
@@ -0,0 +1,226 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+/*
+ * Serves fake responses to some HTTP requests, instead of fetching them
+ * from the network. Mocked requests are sent to an internal HTTP server,
+ * used as a proxy for them, so the URL of the request does not change.
+ */
+
+const {Cc, Ci, Cr} = require("chrome");
+const unload = require("sdk/system/unload");
+
+const pps = Cc["@mozilla.org/network/protocol-proxy-service;1"]
+                .getService(Ci.nsIProtocolProxyService);
+
+// header giving to the internal server the id of the response to send
+const MOCK_HEADER = "X-SlimerJS-Mock";
+
+const STATUS_TEXTS = {
+    200: "OK", 201: "Created", 202: "Accepted", 204: "No Content",
+    301: "Moved Permanently", 302: "Found", 303: "See Other", 304: "Not Modified",
+    307: "Temporary Redirect", 400: "Bad Request", 401: "Unauthorized",
+    403: "Forbidden", 404: "Not Found", 405: "Method Not Allowed",
+    409: "Conflict", 500: "Internal Server Error", 502: "Bad Gateway",
+    503: "Service Unavailable"
+};
+
+let server = null;
+
+// responses waiting for their request, by id
+let responses = {};
+let lastId = 0;
+
+// mocked requests waiting for their proxy, by url: lists of {channel, id}
+let pendingRequests = {};
+
+/**
+ * returns the first mocked request of the given url waiting for its proxy,
+ * and removes it from the waiting list. Requests cancelled before the
+ * resolution of their proxy are forgotten.
+ * @return object {channel, id} or null if there is no waiting request
+ */
+const takePendingRequest = function(url) {
+    if (!(url in pendingRequests)) {
+        return null;
+    }
+    let list = pendingRequests[url].filter(function(pending) {
+        if (Components.isSuccessCode(pending.channel.status)) {
+            return true;
+        }
+        delete responses[pending.id];
+        return false;
+    });
+    let pending = list.shift() || null;
+    if (list.length) {
+        pendingRequests[url] = list;
+    }
+    else {
+        delete pendingRequests[url];
+    }
+    return pending;
+};
+
+const proxyFilter = {
+    QueryInterface: function(aIID) {
+        if (aIID.equals(Ci.nsIProtocolProxyFilter) ||
+            aIID.equals(Ci.nsISupports))
+            return this;
+        throw Cr.NS_NOINTERFACE;
+    },
+
+    applyFilter: function(service, uri, proxy) {
+        if (!takePendingRequest(uri.specIgnoringRef)) {
+            return proxy;
+        }
+        return pps.newProxyInfo("http", "127.0.0.1", server.identity.primaryPort,
+                                0, 0, null);
+    }
+};
+
+const handleRequest = function(request, response) {
+    let id = (request.hasHeader(MOCK_HEADER) ? request.getHeader(MOCK_HEADER) : "");
+    if (!(id in responses)) {
+        response.setStatusLine(request.httpVersion, 502, STATUS_TEXTS[502]);
+        return;
+    }
+    let mock = responses[id];
+    delete responses[id];
+
+    response.setStatusLine(request.httpVersion, mock.status, mock.statusText);
+    for (let name in mock.headers) {
+        response.setHeader(name, String(mock.headers[name]), false);
+    }
+    response.bodyOutputStream.write(mock.body, mock.body.length);
+};
+
+const startServer = function() {
+    if (server) {
+        return;
+    }
+    server = Cc["@mozilla.org/server/jshttp;1"]
+                .createInstance(Ci.nsIHttpServer);
+    server.registerPrefixHandler("/", handleRequest);
+    server.start(-1);
+    pps.registerFilter(proxyFilter, 0);
+    unload.when(stopServer);
+};
+
+const stopServer = function() {
+    if (!server) {
+        return;
+    }
+    pps.unregisterFilter(proxyFilter);
+    server.stop(function(){});
+    server = null;
+    responses = {};
+    pendingRequests = {};
+};
+
+/**
+ * @return boolean  true if the given body is an Uint8Array or an ArrayBuffer
+ */
+const isBinary = function(body) {
+    let type = Object.prototype.toString.call(body);
+    return (type == "[object Uint8Array]" || type == "[object ArrayBuffer]");
+};
+
+/**
+ * @param Uint8Array|ArrayBuffer body
+ * @return string  a binary string containing the bytes of the body
+ */
+const bytesToString = function(body) {
+    let bytes = new Uint8Array(body);
+    let str = "";
+    // by chunks, to not exceed the maximum number of arguments
+    for (let i = 0; i < bytes.length; i += 4096) {
+        str += String.fromCharCode.apply(null, bytes.subarray(i, i + 4096));
+    }
+    return str;
+};
+
+/**
+ * normalize the response given by the script
+ * @param object response  {status, statusText, headers, body}. body can be
+ *                         a string, an object sent as JSON, an Uint8Array or an ArrayBuffer
+ */
+const normalizeResponse = function(response) {
+    let status = parseInt(response.status || 200, 10);
+    let headers = {};
+    let hasContentType = false;
+    for (let name in response.headers) {
+        headers[name] = response.headers[name];
+        if (name.toLowerCase() == "content-type") {
+            hasContentType = true;
+        }
+    }
+
+    let body = response.body;
+    let data = null;
+    if (body === undefined || body === null) {
+        body = "";
+    }
+    else if (isBinary(body)) {
+        data = bytesToString(body);
+        if (!hasContentType) {
+            headers["Content-Type"] = "application/octet-stream";
+            hasContentType = true;
+        }
+    }
+    else if (typeof(body) === "object") {
+        body = JSON.stringify(body);
+        if (!hasContentType) {
+            headers["Content-Type"] = "application/json;charset=UTF-8";
+            hasContentType = true;
+        }
+    }
+    if (!hasContentType) {
+        headers["Content-Type"] = "text/plain;charset=UTF-8";
+    }
+
+    return {
+        status: status,
+        statusText: response.statusText || STATUS_TEXTS[status] || "",
+        headers: headers,
+        // strings are sent as UTF-8, typed arrays as they are
+        body: (data === null ? unescape(encodeURIComponent(String(body))) : data)
+    };
+};
+
+/**
+ * send the given response for the given request, instead of fetching it.
+ * Should be called during the notification of http-on-modify-request.
+ * Only HTTP requests can be mocked, not HTTPS requests.
+ * @param nsIHttpChannel request
+ * @param object response  {status, statusText, headers, body}
+ * @return boolean  false if the request cannot be mocked
+ */
+const mockRequest = function(request, response) {
+    request.QueryInterface(Ci.nsIHttpChannel);
+    let uri = request.URI;
+    if (uri.scheme != "http") {
+        return false;
+    }
+
+    startServer();
+
+    let port = (uri.port == -1 ? 80 : uri.port);
+    if (!server.identity.has("http", uri.asciiHost, port)) {
+        server.identity.add("http", uri.asciiHost, port);
+    }
+
+    let id = String(++lastId);
+    responses[id] = normalizeResponse(response);
+    request.setRequestHeader(MOCK_HEADER, id, false);
+    request.loadFlags |= Ci.nsIRequest.LOAD_BYPASS_CACHE | Ci.nsIRequest.INHIBIT_CACHING;
+
+    let url = uri.specIgnoringRef;
+    if (!(url in pendingRequests)) {
+        pendingRequests[url] = [];
+    }
+    pendingRequests[url].push({ channel: request, id: id });
+    return true;
+};
+exports.mockRequest = mockRequest;
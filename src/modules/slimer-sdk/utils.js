@@ -3,21 +3,19 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 "use strict";
 
-const {Cc, Ci, Cu} = require("chrome");
-const base64 = require("sdk/base64");
+const {Cc, Ci, Cu, Cr} = require("chrome");
 const {mix} = require("sdk/core/heritage");
 const {URL} = require("sdk/url");
 
 const {validateOptions} = require("sdk/deprecated/api-utils");
+const timers = require("sdk/timers");
 
 const AppShellService = Cc["@mozilla.org/appshell/appShellService;1"]
                         .getService(Ci.nsIAppShellService);
-const ioService = Cc["@mozilla.org/network/io-service;1"]
-                        .getService(Ci.nsIIOService);
 const STS = Cc["@mozilla.org/stsservice;1"]
                         .getService(Ci.nsIStrictTransportSecurityService);
-const wm = Cc["@mozilla.org/appshell/window-mediator;1"]
-                        .getService(Ci.nsIWindowMediator);
+const tm = Cc["@mozilla.org/thread-manager;1"]
+                        .getService(Ci.nsIThreadManager);
 
 const NS = "http://www.w3.org/1999/xhtml";
 const COLOR = "rgb(255,255,255)";
@@ -34,13 +32,14 @@ const getScreenshotCanvas = function(window, clip, ratio) {
         ratio = 1;
     }
 
-    let top = clip && clip.top || 0;
-    let left = clip && clip.left || 0;
+    // like in PhantomJS, the clip rectangle is relative to the scroll position
+    let top = (clip && clip.top || 0) + window.scrollY;
+    let left = (clip && clip.left || 0) + window.scrollX;
     let width = clip && clip.width;
-    let height = clip && clip.height || window.document.body.scrollHeight;
+    let height = clip && clip.height || window.document.body.scrollHeight - window.scrollY;
 
-    if (width === null) {
-        width = window.document.body.clientWidth;
+    if (!width) {
+        width = window.document.body.clientWidth - window.scrollX;
     }
 
     let canvas = AppShellService.hiddenDOMWindow.document.createElementNS(NS, "canvas");
@@ -61,6 +60,238 @@ const getScreenshotCanvas = function(window, clip, ratio) {
 exports.getScreenshotCanvas = getScreenshotCanvas;
 
 
+// paper formats, in millimeters
+const PAPER_FORMATS = {
+    "a3": [297, 420],
+    "a4": [210, 297],
+    "a5": [148, 210],
+    "legal": [215.9, 355.6],
+    "letter": [215.9, 279.4],
+    "tabloid": [279.4, 431.8]
+};
+
+// number of millimeters for each supported unit. Like in PhantomJS,
+// a pixel is a point (1/72 inch)
+const UNITS = {
+    "mm": 1,
+    "cm": 10,
+    "in": 25.4,
+    "px": 25.4 / 72
+};
+
+/**
+ * convert a size given by a number or a string like "2cm", "10mm", "1in", "20px"
+ * into millimeters
+ */
+const toMillimeters = function(size) {
+    if (typeof(size) === "number") {
+        return size * UNITS.px;
+    }
+    let m = /^\s*([0-9\.]+)\s*(mm|cm|in|px)?\s*$/i.exec(String(size));
+    if (!m) {
+        throw new Error("Invalid size: " + size);
+    }
+    return parseFloat(m[1]) * UNITS[(m[2] || "px").toLowerCase()];
+};
+
+/**
+ * returns the text to show into the header or the footer,
+ * from the given header/footer definition of PhantomJS: an object
+ * with a contents property, a function receiving the page number
+ * and the number of pages, and returning an HTML string.
+ * The page number is replaced by the code "&P" understood by Mozilla.
+ */
+const getHeaderFooterText = function(definition, numPages) {
+    if (!definition || !definition.contents) {
+        return "";
+    }
+    let contents = definition.contents;
+    if (typeof(contents) === "function") {
+        contents = contents("&P", numPages);
+    }
+    return String(contents).replace(/<[^>]*>/g, "")
+                           .replace(/&nbsp;/g, " ")
+                           .replace(/&lt;/g, "<")
+                           .replace(/&gt;/g, ">")
+                           .trim();
+};
+
+/**
+ * says if the content of the header/footer needs the number of pages
+ */
+const needNumPages = function(definition) {
+    return (definition && typeof(definition.contents) === "function"
+            && definition.contents.length > 1);
+};
+
+/**
+ * create print settings to print into a PDF file, following
+ * the given paper size definition of PhantomJS
+ */
+const getPrintSettings = function(filename, paperSize, numPages) {
+    let pss = Cc["@mozilla.org/gfx/printsettings-service;1"]
+                .getService(Ci.nsIPrintSettingsService);
+    let settings = pss.newPrintSettings;
+    try {
+        settings.printerName = pss.defaultPrinterName;
+        pss.initPrintSettingsFromPrinter(settings.printerName, settings);
+    } catch(e) {}
+
+    paperSize = paperSize || {};
+
+    settings.printSilent = true;
+    settings.showPrintProgress = false;
+    settings.printToFile = true;
+    settings.toFileName = filename;
+    settings.outputFormat = Ci.nsIPrintSettings.kOutputFormatPDF;
+    settings.printBGColors = true;
+    settings.printBGImages = true;
+    settings.shrinkToFit = true;
+    settings.printFrameType = Ci.nsIPrintSettings.kFramesAsIs;
+
+    let width, height;
+    if (paperSize.width && paperSize.height) {
+        width = toMillimeters(paperSize.width);
+        height = toMillimeters(paperSize.height);
+    }
+    else {
+        let format = String(paperSize.format || "A4").toLowerCase();
+        if (!(format in PAPER_FORMATS)) {
+            throw new Error("Unknown paper format: " + paperSize.format);
+        }
+        [width, height] = PAPER_FORMATS[format];
+    }
+
+    settings.paperSizeUnit = Ci.nsIPrintSettings.kPaperSizeMillimeters;
+    settings.paperSizeType = Ci.nsIPrintSettings.kPaperSizeDefined;
+    settings.paperWidth = width;
+    settings.paperHeight = height;
+    settings.orientation = (paperSize.orientation == "landscape" ?
+                            Ci.nsIPrintSettings.kLandscapeOrientation :
+                            Ci.nsIPrintSettings.kPortraitOrientation);
+
+    // margins are in inches in print settings
+    let margin = paperSize.margin || 0;
+    if (typeof(margin) !== "object") {
+        margin = { top: margin, left: margin, bottom: margin, right: margin };
+    }
+    let toInches = function(size) toMillimeters(size || 0) / UNITS["in"];
+    settings.marginTop = toInches(margin.top);
+    settings.marginLeft = toInches(margin.left);
+    settings.marginBottom = toInches(margin.bottom);
+    settings.marginRight = toInches(margin.right);
+    settings.edgeTop = settings.marginTop;
+    settings.edgeBottom = settings.marginBottom;
+
+    // the header and the footer are displayed into the margins
+    if (paperSize.header) {
+        settings.marginTop += toInches(paperSize.header.height);
+    }
+    if (paperSize.footer) {
+        settings.marginBottom += toInches(paperSize.footer.height);
+    }
+    settings.headerStrLeft = "";
+    settings.headerStrCenter = getHeaderFooterText(paperSize.header, numPages);
+    settings.headerStrRight = "";
+    settings.footerStrLeft = "";
+    settings.footerStrCenter = getHeaderFooterText(paperSize.footer, numPages);
+    settings.footerStrRight = "";
+
+    return settings;
+};
+
+// maximum time to print a page into a PDF file, in milliseconds
+const PRINT_TIMEOUT = 60000;
+
+/**
+ * print the content of the window into the given file, with the given
+ * print settings. Returns when the file is written. Throws an error
+ * if the print fails or does not end before PRINT_TIMEOUT.
+ */
+const printWindow = function(window, settings) {
+    let webBrowserPrint = window.QueryInterface(Ci.nsIInterfaceRequestor)
+                                .getInterface(Ci.nsIWebBrowserPrint);
+    let done = false;
+    let timedOut = false;
+    let result = Cr.NS_OK;
+    let listener = {
+        onStateChange: function(webProgress, request, stateFlags, status) {
+            if (stateFlags & Ci.nsIWebProgressListener.STATE_STOP) {
+                result = status;
+                done = true;
+            }
+        },
+        onProgressChange: function() {},
+        onLocationChange: function() {},
+        onStatusChange: function() {},
+        onSecurityChange: function() {},
+        QueryInterface: function(aIID) {
+            if (aIID.equals(Ci.nsIWebProgressListener) ||
+                aIID.equals(Ci.nsISupports))
+                return this;
+            throw Cr.NS_NOINTERFACE;
+        }
+    };
+    webBrowserPrint.print(settings, listener);
+
+    // the print is asynchronous
+    let timeoutId = timers.setTimeout(function() {
+        timedOut = true;
+    }, PRINT_TIMEOUT);
+    let thread = tm.currentThread;
+    while (!done && !timedOut)
+        thread.processNextEvent(true);
+    timers.clearTimeout(timeoutId);
+
+    if (!done) {
+        try {
+            webBrowserPrint.cancel();
+        } catch(e) {}
+        throw new Error("The export into " + settings.toFileName + " did not end after "
+                        + (PRINT_TIMEOUT / 1000) + " seconds");
+    }
+    if (!Components.isSuccessCode(result)) {
+        throw new Error("The export into " + settings.toFileName + " has failed (error 0x"
+                        + result.toString(16) + ")");
+    }
+};
+
+/**
+ * returns the number of pages of the given PDF file
+ */
+const countPDFPages = function(filename) {
+    let file = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsILocalFile);
+    file.initWithPath(filename);
+    let fstream = Cc["@mozilla.org/network/file-input-stream;1"]
+                    .createInstance(Ci.nsIFileInputStream);
+    fstream.init(file, -1, 0, 0);
+    let bstream = Cc["@mozilla.org/binaryinputstream;1"]
+                    .createInstance(Ci.nsIBinaryInputStream);
+    bstream.setInputStream(fstream);
+    let data = bstream.readBytes(bstream.available());
+    bstream.close();
+    let pages = data.match(/\/Type\s*\/Page\b/g);
+    return (pages ? pages.length : 0);
+};
+
+/**
+ * print the content of the window into a PDF file
+ * @param nsIDOMWindow window
+ * @param string filename  the path of the PDF file
+ * @param object paperSize  the paper size definition, like in PhantomJS
+ */
+const renderPDF = function(window, filename, paperSize) {
+    let numPages;
+    if (paperSize && (needNumPages(paperSize.header) || needNumPages(paperSize.footer))) {
+        // we need a first print to know the number of pages
+        printWindow(window, getPrintSettings(filename, paperSize, ""));
+        numPages = countPDFPages(filename);
+    }
+    printWindow(window, getPrintSettings(filename, paperSize, numPages));
+};
+exports.renderPDF = renderPDF;
+
+
 const discardSTSInfo = function(request) {
     try {
         request.QueryInterface(Ci.nsIHttpChannel);
@@ -75,66 +306,62 @@ const discardSTSInfo = function(request) {
 exports.discardSTSInfo = discardSTSInfo;
 
 
-const setAuthHeaders = function(request, originURL, username, password) {
+/**
+ * add CORS headers into the response of a cross origin request, so
+ * the web page can read it whatever its origin. Used when the web
+ * security is disabled, or when a local page can access remote urls.
+ */
+const setCORSHeaders = function(response) {
     try {
-        request.QueryInterface(Ci.nsIHttpChannel);
+        response.QueryInterface(Ci.nsIHttpChannel);
     } catch(e) {
         return;
     }
 
-    // Remove auth info in any case
-    request.setRequestHeader("Authorization", null, false);
+    let getHeader = function(name) {
+        try {
+            return response.getRequestHeader(name);
+        } catch(e) {
+            return "";
+        }
+    };
 
-    if (!username && !password) {
+    let origin = getHeader("Origin");
+    if (!origin) {
         return;
     }
-    let auth = "Basic " + base64.encode(username + ":" + password);
+    response.setResponseHeader("Access-Control-Allow-Origin", origin, false);
+    response.setResponseHeader("Access-Control-Allow-Credentials", "true", false);
 
-    // No referer = original page, set it
-    if (request.referrer === null) {
-        request.setRequestHeader("Authorization", auth, false);
-        return;
+    // response of a preflight request
+    let method = getHeader("Access-Control-Request-Method");
+    if (method) {
+        response.setResponseHeader("Access-Control-Allow-Methods", method, false);
     }
-
-    // Resources, test hostname and base path
-    let url = ioService.newURI(originURL, null, null);
-    if (url.host == request.URI.host &&
-        url.port == request.URI.port &&
-        url.scheme == request.URI.scheme
-    ) {
-        request.setRequestHeader("Authorization", auth, false);
+    let headers = getHeader("Access-Control-Request-Headers");
+    if (headers) {
+        response.setResponseHeader("Access-Control-Allow-Headers", headers, false);
     }
 };
-exports.setAuthHeaders = setAuthHeaders;
-
-
-const removeAuthPrompt = function() {
-    // Ok, this one is very ugly and we should look at a better idea :)
-    let winEnum = wm.getXULWindowEnumerator(null, true);
-    let win, dcEnum, ds, doc;
-    while (winEnum.hasMoreElements()) {
-        try {
-            win = winEnum.getNext();
-            win.QueryInterface(Ci.nsIXULWindow);
-
-            dcEnum = win.docShell.getDocShellEnumerator(
-                Ci.nsIDocShellTreeItem.typeChrome,
-                Ci.nsIDocShell.ENUMERATE_FORWARDS
-            );
-            while (dcEnum.hasMoreElements()) {
-                ds = dcEnum.getNext();
-                ds.QueryInterface(Ci.nsIDocShell);
-                doc = ds.contentViewer.DOMDocument;
-                if (doc.location.href == "chrome://global/content/commonDialog.xul") {
-                    doc.documentElement._buttons.cancel.click();
-                };
-            }
-        } catch(e) {
-            // Didn't read, LOL
-        }
+exports.setCORSHeaders = setCORSHeaders;
+
+
+/**
+ * says if the url matches the given pattern: a RegExp, or a string
+ * where "*" matches any characters
+ */
+const urlMatches = function(pattern, url) {
+    if (typeof(pattern) === "string") {
+        let re = pattern.replace(/[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g, "\\$&")
+                        .replace(/\*/g, ".*");
+        return (new RegExp("^" + re + "$")).test(url);
     }
+    if (pattern && typeof(pattern.test) === "function") {
+        return pattern.test(url);
+    }
+    return false;
 };
-exports.removeAuthPrompt = removeAuthPrompt;
+exports.urlMatches = urlMatches;
 
 
 const setCookies = function(request, cookies) {
@@ -144,15 +371,35 @@ const setCookies = function(request, cookies) {
         return;
     }
 
-    // Remove cookies on original page
-    request.setRequestHeader("Cookie", null, false);
-
+    let names = [];
+    let values = [];
     cookies.forEach(function(cookie) {
-        if (cookie.check(request.URI.spec)) {
-            request.setRequestHeader("Cookie", cookie.name + "=" + cookie.value, true);
+        if (!cookie.isExpired() && cookie.check(request.URI.spec)) {
+            names.push(cookie.name);
+            values.push(cookie.name + "=" + cookie.value);
         }
     });
 
+    // Keep cookies already set by the global cookie store, except
+    // those that are overridden by the given cookies
+    let existing = "";
+    try {
+        existing = request.getRequestHeader("Cookie");
+    } catch(e) {}
+    if (existing) {
+        existing.split(";").reverse().forEach(function(value) {
+            value = value.trim();
+            let eq = value.indexOf("=");
+            let name = (eq == -1 ? value : value.slice(0, eq));
+            if (value && names.indexOf(name) == -1) {
+                values.unshift(value);
+            }
+        });
+    }
+
+    // all cookies should be in a single header, separated by a semicolon.
+    // We cannot use the merge parameter of setRequestHeader, it uses a comma
+    request.setRequestHeader("Cookie", values.join("; "), false);
 };
 exports.setCookies = setCookies;
 
@@ -163,27 +410,45 @@ const getCookies = function(request) {
     } catch(e) {
         return [];
     }
+    let headers;
     try {
-        let cookies = request.getResponseHeader("Set-Cookie").split("\n");
-        return cookies.map(function(cookie) {
-            return parseCookie(cookie, request.URI.spec);
-        });
+        headers = request.getResponseHeader("Set-Cookie").split("\n");
     } catch(e) {
         return [];
     }
+    let cookies = [];
+    headers.forEach(function(header) {
+        // ignore invalid cookies, not the others
+        try {
+            cookies.push(parseCookie(header, request.URI.spec));
+        } catch(e) {}
+    });
+    return cookies;
 };
 exports.getCookies = getCookies;
 
 
 function Cookie(data) {
+    // PhantomJS gives the expiration date into the expiry property
+    // (number of seconds since the epoch) or into the expires property
+    // as a string
+    if (data.expiry) {
+        data = mix({}, data, {expires: new Date(data.expiry * 1000)});
+    }
+    else if (typeof(data.expires) === "string") {
+        let expires = Date.parse(data.expires);
+        data = mix({}, data, {expires: (expires > 0 ? new Date(expires) : null)});
+    }
+
     let requirements = {
         name: {
             is: ["string"],
+            ok: function(val) val != "",
+            msg: "cookie name is required"
         },
         value: {
-            map: function(val) val.toString(),
-            ok: function(val) val != "",
-            msg: "cookie value is required"
+            // an empty value is allowed: servers use it to delete a cookie
+            map: function(val) (val === undefined || val === null) ? "" : val.toString()
         },
         domain: {
             is: ["string"],
@@ -227,6 +492,24 @@ function Cookie(data) {
 
             return res.join("; ");
         },
+        isExpired: function() {
+            return (this.expires !== null && this.expires.getTime() <= Date.now());
+        },
+        /**
+         * returns a simple object, like cookie objects given by PhantomJS
+         */
+        toObject: function() {
+            return {
+                name: this.name,
+                value: this.value,
+                domain: this.domain,
+                path: this.path,
+                httponly: this.httponly,
+                secure: this.secure,
+                expires: (this.expires ? this.expires.toUTCString() : null),
+                expiry: (this.expires ? Math.floor(this.expires.getTime() / 1000) : null)
+            };
+        },
         check: function(url) {
             url = URL(url);
             return this._checkHost(url) && this._checkPath(url) && this._checkSec(url);
@@ -260,6 +543,7 @@ function parseCookie(cookieString, url) {
         httponly: false,
         secure: false
     };
+    let maxAge = null;
     cookieString.split(";").forEach(function(v, i, p) {
         v = v.trim();
         let eq = v.indexOf("=");
@@ -281,9 +565,16 @@ function parseCookie(cookieString, url) {
             data.path = value;
         } else if (name.toLowerCase() == "expires") {
             expires = Date.parse(value.replace("-", " ", "g"));
-            if (expires > 0) {
+            if (expires > 0 && maxAge === null) {
                 data.expires = new Date(expires);
             }
+        } else if (name.toLowerCase() == "max-age") {
+            // Max-Age has precedence over Expires. A value which is not
+            // an integer is ignored (RFC 6265, 5.2.2)
+            if (/^-?\d+$/.test(value)) {
+                maxAge = parseInt(value, 10);
+                data.expires = new Date(Date.now() + maxAge * 1000);
+            }
         } else if (name.toLowerCase() == "httponly") {
             data.httponly = true;
         } else if (name.toLowerCase() == "secure" && url.scheme === "https") {
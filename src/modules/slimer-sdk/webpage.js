@@ -18,8 +18,7 @@ const fm = Cc['@mozilla.org/focus-manager;1'].getService(Ci.nsIFocusManager);
 const de = Ci.nsIDocumentEncoder
 const {validateOptions} = require("sdk/deprecated/api-utils");
 const {
-    getScreenshotCanvas, setAuthHeaders, removeAuthPrompt,
-    getCookies, setCookies, Cookie
+    getScreenshotCanvas, getCookies, setCookies, Cookie, renderPDF, setCORSHeaders, urlMatches
 } = require("./utils");
 
 const fs = require("sdk/io/file");
@@ -30,6 +29,7 @@ const heritage = require("sdk/core/heritage");
 
 const netLog = require('net-log');
 netLog.startTracer();
+const {HarLog} = require("./har");
 
 const PHANTOMCALLBACK =
 'window.callPhantom =  function() {' +
@@ -257,10 +257,29 @@ function create() {
         }
     };
 
+    /**
+     * add a cookie into the cookie jar of the webpage. It replaces
+     * the cookie having the same name, domain and path. If the given cookie
+     * is expired, the existing cookie is only removed.
+     * @param Cookie cookie
+     */
+    function storeCookie(cookie) {
+        privProp.cookies = privProp.cookies.filter(function(c) {
+            return !(c.name == cookie.name
+                     && c.domain == cookie.domain
+                     && c.path == cookie.path);
+        });
+        if (!cookie.isExpired())
+            privProp.cookies.push(cookie);
+    }
+
     /**
      * build an object of options for the netlogger
      */
     function getNetLoggerOptions(webpage, deferred) {
+        // settings are applied at each open(), not when they change
+        let webSecurityEnabled = privProp.settings.webSecurityEnabled;
+        let localToRemoteUrlAccessEnabled = privProp.settings.localToRemoteUrlAccessEnabled;
         return {
             _onRequest: function(request) {
                 request = request.QueryInterface(Ci.nsIHttpChannel);
@@ -269,10 +288,66 @@ function create() {
                 for (var hname in webpage.customHeaders) {
                     request.setRequestHeader(hname, webpage.customHeaders[hname], true);
                 }
+                if (phantom.cookiesEnabled)
+                    setCookies(request, privProp.cookies);
+                // change the method of the request of the main document, for methods
+                // that are not supported by nsIWebNavigation.loadURI
+                let pending = privProp.pendingRequestMethod;
+                if (pending && request.URI.specIgnoringRef == pending.url) {
+                    request.requestMethod = pending.method;
+                    privProp.pendingRequestMethod = null;
+                }
+                // a new document is loading in the main window (and this is
+                // not a redirection): the HAR log should contain only its requests
+                if ((request.loadFlags & Ci.nsIChannel.LOAD_DOCUMENT_URI)
+                    && !(request.loadFlags & Ci.nsIChannel.LOAD_REPLACE)
+                    && netLog.getWindowForRequest(request) == browser.contentWindow) {
+                    privProp.harLog.reset();
+                }
+            },
+            _onResponse: function(response) {
+                if (phantom.cookiesEnabled)
+                    getCookies(response).forEach(storeCookie);
+                if (!webSecurityEnabled
+                    || (localToRemoteUrlAccessEnabled
+                        && browser.currentURI.schemeIs("file")))
+                    setCORSHeaders(response);
+            },
+            onRequest: function(request, networkRequest) {
+                privProp.harLog.addRequest(request);
+                webpage.resourceRequested(request, networkRequest);
+            },
+            onResponse:  function(res) {
+                privProp.harLog.addResponse(res);
+                webpage.resourceReceived(res);
+            },
+            onError: function(err) {
+                privProp.harLog.addError(err);
+                webpage.resourceError(err);
+            },
+            getMockResponse: function(request) {
+                for (let i=0; i < privProp.routes.length; i++) {
+                    let route = privProp.routes[i];
+                    if (!urlMatches(route.pattern, request.url))
+                        continue;
+                    let response = route.handler;
+                    if (typeof(response) === "function")
+                        response = response(request);
+                    if (response)
+                        return response;
+                }
+                return null;
             },
-            onRequest: function(request) {webpage.resourceRequested(request);},
-            onResponse:  function(res) {webpage.resourceReceived(res);},
+            resourceTimeout: webpage.settings.resourceTimeout,
+            onTimeout: function(request) {webpage.resourceTimeout(request);},
             captureTypes: webpage.captureContent,
+            captureEncoding: webpage.captureContentEncoding,
+            captureMaxSize: webpage.captureContentMaxSize,
+            postDataMaxSize: webpage.postDataMaxSize,
+            // the upload stream is read only when someone wants the body
+            withPostData: function() {
+                return (typeof(webpage.onResourceRequested) === "function");
+            },
             onLoadStarted: function(url){ webpage.loadStarted(url, false); },
             onURLChanged: function(url){ webpage.urlChanged(url);},
             onTransferStarted :null,
@@ -282,25 +357,6 @@ function create() {
                 // let's imitate it. Only after a success
                 if (success)
                     webpage.initialized();
-                else {
-                    // in case of a network fail, phantomjs send
-                    // a resourceReceived event.
-                    webpage.resourceReceived({
-                        id: 1,
-                        url: url,
-                        time: new Date(),
-                        headers: {},
-                        bodySize: 0,
-                        contentType: null,
-                        contentCharset: null,
-                        redirectURL: null,
-                        stage: "end",
-                        status: null,
-                        statusText: null,
-                        referrer: "",
-                        body: ""
-                    });
-                }
             },
             onLoadFinished: function(url, success){
                 let channel = browser.docShell.currentDocumentChannel;
@@ -384,7 +440,10 @@ function create() {
             // open the window
             var win = childPage._openBlankBrowser(aOpener);
 
-            privProp.childWindows.push(childPage);
+            // the child page is owned by this page: it is listed into
+            // webpage.pages and it is closed with this page
+            if (privProp.ownsPages)
+                privProp.childWindows.push(childPage);
 
             // call the callback
             webpage.rawPageCreated(childPage);
@@ -411,7 +470,15 @@ function create() {
         clipRect : null,
         framePath : [],
         childWindows : [],
-        settings: {}
+        ownsPages : true,
+        isChildPage : false,
+        settings: {},
+        cookies: [],
+        pendingRequestMethod: null,
+        uploadFiles: null,
+        routes: [],
+        harLog: new HarLog(),
+        authAttempts: {}
     }
 
     let defaultSettings = slConfiguration.getDefaultWebpageConfig();
@@ -419,11 +486,158 @@ function create() {
         privProp.settings[p] = defaultSettings[p]
     }
 
+    /**
+     * load the given url into the browser, with the given HTTP
+     * configuration
+     * @param string url
+     * @param object httpConf  with properties operation, data, headers and encoding
+     */
+    function loadUri(url, httpConf) {
+        let method = (httpConf.operation || 'GET').toUpperCase();
+        let postData = null;
+        let headersData = null;
+        let headers = httpConf.headers || {};
+        let hasContentType = Object.keys(headers).some(function(name) {
+            return name.toLowerCase() == 'content-type';
+        });
+
+        if (httpConf.data !== null && httpConf.data !== undefined
+            && method != 'GET' && method != 'HEAD') {
+            let data = String(httpConf.data);
+            let encoding = (httpConf.encoding || 'utf-8').toLowerCase().replace('-', '');
+            if (encoding == 'utf8') {
+                data = unescape(encodeURIComponent(data));
+            }
+            let stringStream = Cc["@mozilla.org/io/string-input-stream;1"]
+                                .createInstance(Ci.nsIStringInputStream);
+            stringStream.setData(data, data.length);
+
+            postData = Cc["@mozilla.org/network/mime-input-stream;1"]
+                                .createInstance(Ci.nsIMIMEInputStream);
+            if (!hasContentType) {
+                postData.addHeader("Content-Type", "application/x-www-form-urlencoded");
+            }
+            postData.addContentLength = true;
+            postData.setData(stringStream);
+        }
+
+        let headersList = Object.keys(headers).map(function(name) {
+            return name + ": " + headers[name] + "\r\n";
+        });
+        if (headersList.length) {
+            let str = unescape(encodeURIComponent(headersList.join('')));
+            headersData = Cc["@mozilla.org/io/string-input-stream;1"]
+                                .createInstance(Ci.nsIStringInputStream);
+            headersData.setData(str, str.length);
+        }
+
+        // loadURI does a POST request when there is post data, else a GET request.
+        // For other methods, the method is changed by the netlogger listener
+        privProp.pendingRequestMethod = null;
+        if (method != 'GET' && !(method == 'POST' && postData)) {
+            try {
+                privProp.pendingRequestMethod = {
+                    url: Services.io.newURI(url, null, null).specIgnoringRef,
+                    method: method
+                };
+            }
+            catch(e) {}
+        }
+
+        try {
+            browser.webNavigation.loadURI(url, Ci.nsIWebNavigation.LOAD_FLAGS_NONE,
+                                          null, postData, headersData);
+        } catch(e) {
+            // if content is not loaded because of navigation locked,
+            // we have an exception;
+        }
+    }
+
+    /**
+     * load the given HTML content into the given docshell, as if it
+     * was loaded from the given url, so relative urls of resources
+     * are resolved against it.
+     * @param nsIDocShell docShell
+     * @param string content
+     * @param string url
+     */
+    function loadContent(docShell, content, url) {
+        let data = unescape(encodeURIComponent(String(content)));
+        let stream = Cc["@mozilla.org/io/string-input-stream;1"]
+                        .createInstance(Ci.nsIStringInputStream);
+        stream.setData(data, data.length);
+        let uri = Services.io.newURI(url || 'about:blank', null, null);
+        try {
+            docShell.loadStream(stream, uri, "text/html", "UTF-8", null);
+        } catch(e) {
+            // if content is not loaded because of navigation locked,
+            // we have an exception;
+        }
+    }
+
+    /**
+     * apply settings that are managed by the docshell. They are applied
+     * before each load, so changes of settings have no impact on the
+     * loaded document.
+     */
+    function applyDocShellSettings() {
+        let docShell = browser.docShell;
+        docShell.allowJavascript = !!privProp.settings.javascriptEnabled;
+        docShell.allowImages = !!privProp.settings.loadImages;
+    }
+
+    /**
+     * open the browser if it does not exist yet, and then call the given
+     * function to load something into it.
+     * @param function load  function that loads the content
+     * @param function callback  called when the page is loaded
+     * @return promise
+     */
+    function openPage(load, callback) {
+        let deferred = Q.defer();
+
+        deferred.promise.then(function(result) {
+            if (callback) {
+                callback(result);
+                callback = null;
+            }
+            return result;
+        });
+
+        var options = getNetLoggerOptions(webpage, deferred);
+
+        if (browser) {
+            // don't recreate a browser if already opened.
+            netLog.registerBrowser(browser, options);
+            applyDocShellSettings();
+            load();
+            return deferred.promise;
+        }
+
+        var win = slLauncher.openBrowser(function(nav){
+            browser = nav;
+            browser.webpage = webpage;
+            Services.obs.addObserver(webpageObserver, "console-api-log-event", true);
+            browser.stop();
+            webpage.initialized();
+            netLog.registerBrowser(browser, options);
+            applyDocShellSettings();
+            load();
+        });
+        // to catch window.open()
+        win.QueryInterface(Ci.nsIDOMChromeWindow)
+           .browserDOMWindow= slBrowserDOMWindow;
+        return deferred.promise;
+    }
+
     function getCurrentFrame() {
         if (!browser)
             return null;
         var win = browser.contentWindow;
-        win.name = ''; // it seems that the root window take the name of the xul window
+        // it seems that the root window take the name of the xul window,
+        // except for windows opened by window.open()
+        if (!privProp.isChildPage)
+            win.name = '';
         privProp.framePath.forEach(function(frameName){
             if (win == null)
                 return;
@@ -500,13 +714,17 @@ function create() {
             - password sets the password used for HTTP authentication.
             - XSSAuditingEnabled defines whether load requests should be monitored for cross-site scripting attempts (defaults to false).
             - webSecurityEnabled defines whether web security should be enabled or not (defaults to true).
-            - maxAuthAttempts: integer
+            - maxAuthAttempts: number of times credentials are given for a same resource
+              when the server refuses them (defaults to 3)
             - resourceTimeout: integer
             - javascriptCanOpenWindows
             - javascriptCanCloseWindows
             Note: The settings apply only during the initial call to the WebPage#open function. Subsequent modification of the settings object will not have any impact.
 
-            @notimplemented
+            Supported settings: javascriptEnabled, loadImages, localToRemoteUrlAccessEnabled, maxAuthAttempts,
+            password, resourceTimeout, userAgent, userName and webSecurityEnabled (when false, CORS headers
+            are added to responses, so cross origin requests are allowed. localToRemoteUrlAccessEnabled does
+            the same for pages loaded from a file)
          */
         get settings (){
             return privProp.settings;
@@ -524,27 +742,154 @@ function create() {
          */
         captureContent : [],
 
+        /**
+         * encoding of the captured content: "" to have it as a binary string
+         * (each character is a byte), or "base64". The encoding is indicated in
+         * the bodyEncoding property of the response object
+         */
+        captureContentEncoding : "",
+
+        /**
+         * maximum size in bytes of the captured content of a resource (0 = no limit).
+         * When the content is bigger, it is truncated and the bodyTruncated property
+         * of the response object is true
+         */
+        captureContentMaxSize : 0,
+
+        /**
+         * maximum size in bytes of the body of a request given into the postData
+         * property of the request data. When the body is bigger, it is truncated
+         * and the truncated property of postData is true
+         */
+        postDataMaxSize : 65536,
+
         // ------------------------ cookies and headers
+
+        /**
+         * list of cookies of the cookie jar of the webpage.
+         * Cookies are sent with requests of the page, and
+         * cookies received in responses are stored into it.
+         * @return cookie[]
+         */
         get cookies() {
-            throw new Error("webpage.cookies not implemented")
+            return privProp.cookies.filter(function(cookie) {
+                return !cookie.isExpired();
+            }).map(function(cookie) {
+                return cookie.toObject();
+            });
         },
 
+        /**
+         * replace all cookies of the cookie jar
+         * @param cookie[] val
+         */
         set cookies(val) {
-            throw new Error("webpage.cookies not implemented")
+            this.clearCookies();
+            if (!Array.isArray(val))
+                return;
+            val.forEach(function(cookie) {
+                this.addCookie(cookie);
+            }, this);
         },
 
         customHeaders : {},
 
+        /**
+         * add a cookie in the cookie jar of the webpage
+         * @param cookie cookie an object with name, value, domain, path,
+         *                      httponly, secure and expires properties
+         * @return boolean false if the cookie is invalid
+         */
         addCookie: function(cookie) {
-            throw new Error("webpage.addCookie not implemented")
+            try {
+                storeCookie(Cookie(cookie));
+            }
+            catch(e) {
+                return false;
+            }
+            return true;
         },
 
+        /**
+         * remove all cookies from the cookie jar of the webpage
+         */
         clearCookies: function() {
-            throw new Error("webpage.clearCookies not implemented")
+            privProp.cookies = [];
         },
 
+        /**
+         * delete all cookies having the given name
+         * @param string cookieName
+         * @return boolean true if a cookie has been deleted
+         */
         deleteCookie: function(cookieName) {
-            throw new Error("webpage.deleteCookie not implemented")
+            let count = privProp.cookies.length;
+            privProp.cookies = privProp.cookies.filter(function(cookie) {
+                return cookie.name != cookieName;
+            });
+            return (count != privProp.cookies.length);
+        },
+
+        // -------------------------------- url filtering
+
+        /**
+         * list of patterns (regexps, or strings where "*" matches any characters)
+         * of urls that the page is not allowed to load: documents, frames,
+         * scripts, images, fonts, XMLHttpRequest...
+         */
+        blockedUrls : [],
+
+        /**
+         * list of patterns (regexps, or strings where "*" matches any characters).
+         * When it is not empty, the page can only load urls matching one of them.
+         */
+        allowedUrls : [],
+
+        /**
+         * @private
+         */
+        _isUrlAllowed: function(url) {
+            let matches = function(pattern) {
+                return urlMatches(pattern, url);
+            };
+            let allowed = this.allowedUrls || [];
+            if (allowed.length && !Array.prototype.some.call(allowed, matches)) {
+                return false;
+            }
+            return !Array.prototype.some.call(this.blockedUrls || [], matches);
+        },
+
+        // -------------------------------- request mocking
+
+        /**
+         * declare a fake response for requests matching the given pattern.
+         * The network is not used for these requests. Only HTTP requests
+         * can be mocked, not HTTPS requests.
+         * @param string|RegExp pattern  a regexp, or a string where "*" matches any characters
+         * @param function|object handler  the response: an object with status, headers
+         *              and body properties, or a function receiving the request data
+         *              and returning the response (or null to let the request go to the network).
+         *              null to remove the routes having the given pattern.
+         */
+        route: function(pattern, handler) {
+            if (handler === null || handler === undefined) {
+                privProp.routes = privProp.routes.filter(function(route) {
+                    return String(route.pattern) != String(pattern);
+                });
+                return;
+            }
+            privProp.routes.push({pattern: pattern, handler: handler});
+        },
+
+        // -------------------------------- HAR export
+
+        /**
+         * returns a HAR document (version 1.2) describing all requests
+         * done since the last load of a page in the main window
+         * @return object
+         */
+        getHar: function() {
+            return privProp.harLog.getHar((browser ? browser.contentWindow : null), this.title);
         },
 
         // -------------------------------- History
@@ -587,54 +932,42 @@ function create() {
 
         /**
          * Open a web page in a browser
+         * Accepted arguments:
+         *   open(url, callback)
+         *   open(url, httpMethod, callback)
+         *   open(url, httpMethod, data, callback)
+         *   open(url, httpMethod, data, headers, callback)
+         *   open(url, httpConf, callback)
          * @param string url    the url of the page to open
+         * @param string httpMethod  the HTTP method (GET, POST, PUT...)
+         * @param string data   the body of the request
+         * @param object headers  HTTP headers to add to the request
+         * @param object httpConf  object with properties operation, data, headers and encoding
          * @param function callback  a function called when the page is loaded. it
          *                           receives "success" or "fail" as parameter.
+         * @return promise
          */
-        open: function(url, callback) {
-            var me = this;
-            let deferred = Q.defer();
-
-            deferred.promise.then(function(result) {
-                if (callback) {
-                    callback(result);
-                    callback = null;
-                }
-                return result;
-            });
-
-            var options = getNetLoggerOptions(this, deferred);
-
-            if (browser) {
-                // don't recreate a browser if already opened.
-                netLog.registerBrowser(browser, options);
-                try {
-                    browser.loadURI(url);
-                } catch(e) {
-                    // if content is not loaded because of navigation locked,
-                    // we have an exception;
-                }
-                return deferred.promise;
+        open: function(url) {
+            let args = Array.prototype.slice.call(arguments, 1);
+            let callback = null;
+            if (args.length && typeof(args[args.length - 1]) === "function") {
+                callback = args.pop();
             }
 
-            var win = slLauncher.openBrowser(function(nav){
-                browser = nav;
-                browser.webpage = me;
-                Services.obs.addObserver(webpageObserver, "console-api-log-event", true);
-                browser.stop();
-                me.initialized();
-                netLog.registerBrowser(browser, options);
-                try {
-                    browser.loadURI(url);
-                } catch(e) {
-                    // if content is not loaded because of navigation locked,
-                    // we have an exception;
-                }
-            });
-            // to catch window.open()
-            win.QueryInterface(Ci.nsIDOMChromeWindow)
-               .browserDOMWindow= slBrowserDOMWindow;
-            return deferred.promise;
+            let httpConf = {};
+            if (args.length == 1 && args[0] !== null && typeof(args[0]) === "object") {
+                httpConf = args[0];
+            }
+            else {
+                httpConf = {
+                    operation: args[0],
+                    data: args[1],
+                    headers: args[2]
+                };
+            }
+            return openPage(function() {
+                loadUri(url, httpConf);
+            }, callback);
         },
 
         /**
@@ -648,11 +981,13 @@ function create() {
             }
             var options = getNetLoggerOptions(this, null);
             var ready = false;
+            privProp.isChildPage = true;
             var win = slLauncher.openBrowser(function(nav){
                 browser = nav;
                 browser.webpage = me;
                 Services.obs.addObserver(webpageObserver, "console-api-log-event", true);
                 netLog.registerBrowser(browser, options);
+                applyDocShellSettings();
                 me.initialized();
                 ready = true;
             }, parentWindow);
@@ -670,8 +1005,24 @@ function create() {
             return win;
         },
 
+        /**
+         * Open a web page in a browser
+         * @param string url    the url of the page to open
+         * @param string|object httpConf  the HTTP method, or an object with properties
+         *                           operation, data, headers and encoding
+         * @param object settings  settings to apply to the webpage
+         * @return promise
+         */
         openUrl: function(url, httpConf, settings) {
-            throw new Error("webpage.openUrl not implemented")
+            if (settings) {
+                this.settings = settings;
+            }
+            if (typeof(httpConf) === "string") {
+                httpConf = { operation: httpConf };
+            }
+            return openPage(function() {
+                loadUri(url, httpConf || {});
+            }, null);
         },
 
         /**
@@ -690,6 +1041,17 @@ function create() {
             }
             webPageSandbox = null;
             browser=null;
+            privProp.childWindows.forEach(function(page) {
+                page.close();
+            });
+            privProp.childWindows = [];
+        },
+
+        /**
+         * @private
+         */
+        _isOpened: function() {
+            return (browser != null);
         },
 
         /**
@@ -698,32 +1060,74 @@ function create() {
          */
         onClosing: null,
 
+        /**
+         * if true, pages opened by window.open() are listed into the pages
+         * property and are closed when this page is closed (default true).
+         */
         get ownsPages () {
-            throw new Error("webpage.ownsPages not implemented")
+            return privProp.ownsPages;
+        },
+
+        set ownsPages (val) {
+            privProp.ownsPages = !!val;
         },
 
+        /**
+         * @param string windowName  the name of a window opened by window.open()
+         * @return webpage  the child page having the given window name, or null
+         */
         getPage: function (windowName) {
-            throw new Error("webpage.getPage not implemented")
+            let pages = this.pages;
+            for (let i=0; i < pages.length; i++) {
+                if (pages[i].windowName == windowName)
+                    return pages[i];
+            }
+            return null;
         },
 
+        /**
+         * list of child pages that are still opened
+         */
         get pages () {
-            throw new Error("webpage.pages not implemented")
+            privProp.childWindows = privProp.childWindows.filter(function(page) page._isOpened());
+            return privProp.childWindows.slice(0);
         },
 
+        /**
+         * list of window names of child pages
+         */
         get pagesWindowName () {
-            throw new Error("webpage.pagesWindowName not implemented")
+            return this.pages.map(function(page) page.windowName);
         },
 
         release : function() {
             throw new Error("webpage.release not implemented")
         },
 
+        /**
+         * the scroll position of the main frame: an object with
+         * top and left properties
+         */
         get scrollPosition() {
-            throw new Error("webpage.scrollPosition not implemented")
+            if (!browser)
+                return {top:0, left:0};
+            let win = browser.contentWindow;
+            return {
+                top: win.scrollY,
+                left: win.scrollX
+            }
         },
 
         set scrollPosition(val) {
-            throw new Error("webpage.scrollPosition not implemented")
+            if (!browser)
+                return;
+
+            if (typeof val != "object")
+                throw new Error("Bad argument type");
+
+            let top = val.top || 0;
+            let left = val.left || 0;
+            browser.contentWindow.scrollTo(left, top);
         },
         get url() {
             if (browser)
@@ -892,8 +1296,19 @@ function create() {
             return getWindowContent(win, null, false);
         },
 
+        /**
+         * replace the content of the current frame by the given HTML content.
+         * The url of the frame is kept.
+         */
         set frameContent(val) {
-            throw new Error("webpage.frameContent setter not implemented")
+            var win = getCurrentFrame();
+            if (!win){
+                throw new Error("WebPage not opened");
+            }
+            let docShell = win.QueryInterface(Ci.nsIInterfaceRequestor)
+                              .getInterface(Ci.nsIWebNavigation)
+                              .QueryInterface(Ci.nsIDocShell);
+            loadContent(docShell, val, win.location.href);
         },
 
         get framePlainText() {
@@ -1010,8 +1425,12 @@ function create() {
                                     browser.docShell, false);
         },
 
+        /**
+         * replace the content of the page by the given HTML content.
+         * The url of the page is kept.
+         */
         set content(val) {
-            throw new Error("webpage.content setter not implemented")
+            this.setContent(val, this.url);
         },
 
         get offlineStoragePath() {
@@ -1163,12 +1582,47 @@ function create() {
             return browser.contentDocument.title;
         },
 
+        /**
+         * load the given HTML content into the page, as if it was
+         * loaded from the given url.
+         * @param string content
+         * @param string url   the url of the page. Relative urls of resources are resolved against it
+         * @return promise
+         */
         setContent: function(content, url) {
-            throw new Error("webpage.setContent not implemented")
+            return openPage(function() {
+                loadContent(browser.docShell, content, url);
+            }, null);
         },
 
-        uploadFile: function(selector, filename) {
-            throw new Error("webpage.uploadFile not implemented")
+        /**
+         * select the given files into the file input element matching
+         * the given selector, in the current frame.
+         * @param string selector  a CSS selector
+         * @param string|string[] filenames  one or several paths of files
+         */
+        uploadFile: function(selector, filenames) {
+            let win = getCurrentFrame();
+            if (!win)
+                throw new Error("WebPage not opened");
+
+            let input = win.document.querySelector(selector);
+            if (!input || input.localName != 'input' || input.type != 'file')
+                throw new Error("No file input element matches the selector "+selector);
+
+            if (!Array.isArray(filenames))
+                filenames = [filenames];
+            privProp.uploadFiles = filenames.map(function(filename) fs.absolute(filename));
+
+            // the click opens our file picker, which will give the files
+            // by calling filePickerRequested(). This is done asynchronously.
+            input.click();
+            let stop = false;
+            timer.setTimeout(function(){ stop = true}, 1000);
+            let thread = Services.tm.currentThread;
+            while (!stop && privProp.uploadFiles)
+                thread.processNextEvent(true);
+            privProp.uploadFiles = null;
         },
 
         // ------------------------------- Screenshot and pdf export
@@ -1209,6 +1663,15 @@ function create() {
                 privProp.clipRect = null;
             }
         },
+
+        /**
+         * paperSize defines the size of the pages when rendering
+         * into a PDF file: an object with format ("A4", "letter"...)
+         * and orientation ("portrait" or "landscape"), or width and
+         * height. It can have also a margin, and a header and a footer
+         * ({height, contents}, contents being a function created with
+         * phantom.callback())
+         */
         paperSize : null,
         get zoomFactor () {
             if (!browser)
@@ -1224,6 +1687,10 @@ function create() {
             if (!browser)
                 throw new Error("WebPage not opened");
             let format = fs.extension(filename).toLowerCase() || 'png';
+            if (format == 'pdf') {
+                renderPDF(browser.contentWindow, fs.absolute(filename), this.paperSize);
+                return;
+            }
             let content = this.renderBytes(format, ratio);
             fs.write(filename, content, "wb");
         },
@@ -1257,19 +1724,22 @@ function create() {
 
         onAlert : null,
 
+        // This callback is invoked when a server asks credentials (HTTP authentication).
+        // It receives the host, the realm and the authentication scheme, and
+        // should return an object {username, password}, or null to use
+        // settings.userName and settings.password
+        onAuthenticationRequired : null,
+
         onCallback : null,
 
         onConfirm : null,
 
         onConsoleMessage : null,
 
-        get onFilePicker() {
-            throw new Error("webpage.onFilePicker not implemented")
-        },
-
-        set onFilePicker(callback) {
-            throw new Error("webpage.onFilePicker not implemented")
-        },
+        // This callback is invoked when the page wants to open a file picker.
+        // It receives the previous selected file, and should return the path
+        // of the file (or a list of paths) to select.
+        onFilePicker : null,
 
         onPrompt : null,
 
@@ -1289,19 +1759,79 @@ function create() {
         // This callback is invoked when a new child window (but not deeper descendant windows) is created by the page, e.g. using window.open
         onPageCreated: null,
 
+        // This callback is invoked when a request is sent. It receives the request data
+        // and a networkRequest object, to abort or to modify the request
         onResourceRequested : null,
 
         onResourceReceived : null,
 
+        // This callback is invoked when a request fails. It receives
+        // an object with id, url, errorCode and errorString.
+        onResourceError : null,
+
+        // This callback is invoked when a request is cancelled because
+        // it takes more time than the resourceTimeout setting.
+        onResourceTimeout : null,
+
         //This callback is invoked when the URL changes, e.g. as it navigates away from the current URL.
         onUrlChanged : null,
 
         // -------------------------------- private methods to send some events
+
+        /**
+         * called by the prompter when a server asks credentials
+         * @param string host  the host, with the scheme and the port if any
+         * @param string realm
+         * @param string scheme  the authentication scheme (basic, digest, ntlm...)
+         * @param boolean previousFailed  true if the server has refused the previous credentials
+         * @return object  {username, password}, or null to cancel the authentication
+         */
+        authenticationRequired: function(host, realm, scheme, previousFailed) {
+            let key = host + " " + realm;
+            if (!previousFailed || !(key in privProp.authAttempts))
+                privProp.authAttempts[key] = 0;
+            let maxAttempts = parseInt(privProp.settings.maxAuthAttempts, 10);
+            if (!isNaN(maxAttempts) && privProp.authAttempts[key] >= maxAttempts)
+                return null;
+            privProp.authAttempts[key]++;
+
+            let credentials = null;
+            if (this.onAuthenticationRequired)
+                credentials = this.onAuthenticationRequired(host, realm, scheme);
+            if (credentials)
+                return {
+                    username: String(credentials.username || credentials.userName || ''),
+                    password: String(credentials.password || '')
+                };
+            if (privProp.settings.userName === undefined && privProp.settings.password === undefined)
+                return null;
+            return {
+                username: String(privProp.settings.userName || ''),
+                password: String(privProp.settings.password || '')
+            };
+        },
+
         closing:function (page) {
             if (this.onClosing)
                 this.onClosing(page);
         },
 
+        /**
+         * called by the file picker component
+         * @param string oldFile  the file that was selected previously
+         * @return string|string[]  the path(s) of files to select, or null
+         */
+        filePickerRequested: function(oldFile) {
+            if (privProp.uploadFiles) {
+                let files = privProp.uploadFiles;
+                privProp.uploadFiles = null;
+                return files;
+            }
+            if (this.onFilePicker)
+                return this.onFilePicker(oldFile);
+            return null;
+        },
+
         initialized: function() {
             webPageSandbox = null;
             if (this.onInitialized)
@@ -1333,7 +1863,7 @@ function create() {
         /**
          * @param string url  the url of the requested page
          * @param string navigationType a string indicated the origin:
-         *          "Undefined" "LinkClicked" "FormSubmitted" "BackOrForward" "Reload" "FormResubmitted" "Other"
+         *          "LinkClicked" "FormSubmitted" "BackOrForward" "Reload" "FormResubmitted" "Other"
          * @param boolean willNavigate  true if the navigation is not locked
          * @param boolean isMainFrame true if it comes from the mainFrame
          */
@@ -1348,14 +1878,24 @@ function create() {
                 this.onPageCreated(page);
         },
 
+        resourceError: function(error) {
+            if (this.onResourceError)
+                this.onResourceError(error);
+        },
+
         resourceReceived: function(request) {
             if (this.onResourceReceived)
                 this.onResourceReceived(request);
         },
 
-        resourceRequested: function(resource) {
+        resourceRequested: function(resource, networkRequest) {
             if (this.onResourceRequested)
-                this.onResourceRequested(resource);
+                this.onResourceRequested(resource, networkRequest);
+        },
+
+        resourceTimeout: function(request) {
+            if (this.onResourceTimeout)
+                this.onResourceTimeout(request);
         },
 
         urlChanged: function(url) {
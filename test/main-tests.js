@@ -49,6 +49,16 @@ phantom.injectJs("./test-webpage-callPhantom.js");
 phantom.injectJs("./test-webpage-onerror.js");
 phantom.injectJs("./test-webpage-navigation.js");
 phantom.injectJs("./test-webpage-headers.js");
+phantom.injectJs("./test-webpage-cookies.js");
+phantom.injectJs("./test-phantom-cookies.js");
+phantom.injectJs("./test-webpage-upload.js");
+phantom.injectJs("./test-webpage-settings.js");
+phantom.injectJs("./test-webpage-route.js");
+phantom.injectJs("./test-webpage-har.js");
+phantom.injectJs("./test-webserver.js");
+
+// number of requests received on /basicAuth
+var basicAuthAttempts = 0;
 
 var webserverTest = webServerFactory.create();
 webserverTest.listen(8083, function(request, response) {
@@ -61,6 +71,70 @@ webserverTest.listen(8083, function(request, response) {
         return;
     }
 
+    if (request.url == '/setCookie') {
+        response.statusCode = 200;
+        response.headers = {
+            "Content-Type": "text/plain;charset=UTF-8",
+            "Set-Cookie": "slimersession=abcdef; path=/"
+        }
+        response.write('cookie set');
+        response.close();
+        return;
+    }
+
+    if (request.url == '/setCookieInvalidMaxAge') {
+        response.statusCode = 200;
+        response.headers = {
+            "Content-Type": "text/plain;charset=UTF-8",
+            "Set-Cookie": "slimerexpires=ghijkl; path=/; Max-Age=abc; Expires=Fri, 01 Jan 2100 00:00:00 GMT"
+        }
+        response.write('cookie set');
+        response.close();
+        return;
+    }
+
+    if (request.url == '/echoRequest') {
+        response.statusCode = 200;
+        response.headers = { "Content-Type": "text/plain;charset=UTF-8"}
+        response.write(JSON.stringify({
+            method: request.method,
+            headers: request.headers,
+            body: request.postRaw
+        }));
+        response.close();
+        return;
+    }
+
+    if (request.url == '/slowResponse') {
+        response.statusCode = 200;
+        response.headers = { "Content-Type": "text/plain;charset=UTF-8"}
+        response.write('');
+        setTimeout(function(){
+            response.write('slow response');
+            response.close();
+        }, 2000);
+        return;
+    }
+
+    if (request.url == '/basicAuth') {
+        basicAuthAttempts++;
+        if (request.headers['authorization'] == 'Basic c2xpbWVyOnNlY3JldA==') {
+            response.statusCode = 200;
+            response.headers = { "Content-Type": "text/plain;charset=UTF-8"}
+            response.write('authenticated');
+        }
+        else {
+            response.statusCode = 401;
+            response.headers = {
+                "Content-Type": "text/plain;charset=UTF-8",
+                "WWW-Authenticate": 'Basic realm="slimer tests"'
+            }
+            response.write('not authenticated');
+        }
+        response.close();
+        return;
+    }
+
     if (request.url == '/getHeaders') {
         response.statusCode = 200;
         response.headers = { "Content-Type": "text/plain;charset=UTF-8"}
@@ -0,0 +1,92 @@
+/*
+* This file is part of the SlimerJS project from Innophi.
+* https://github.com/laurentj/slimerjs
+*
+* Copyright (c) 2013 Laurent Jouanneau
+*
+* Permission is hereby granted, free of charge, to any person obtaining a
+* copy of this software and associated documentation files (the "Software"),
+* to deal in the Software without restriction, including without limitation
+* the rights to use, copy, modify, merge, publish, distribute, sublicense,
+* and/or sell copies of the Software, and to permit persons to whom the
+* Software is furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included
+* in all copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+* OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+* THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+* FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+* DEALINGS IN THE SOFTWARE.
+*/
+
+/*
+ * Tests of some command line options. They are not run by main-tests.js, since
+ * options are given on the command line: launch them manually, several times
+ * with the same profile, to check that options of a previous launch are not kept:
+ *
+ *   ./slimerjs -profile /tmp/slprofile --proxy=127.0.0.1:8099 --script-encoding=ISO-8859-1 ../test/options-tests.js proxy latin1
+ *   ./slimerjs -profile /tmp/slprofile ../test/options-tests.js
+ *   ./slimerjs -profile /tmp/slprofile --proxy=127.0.0.1:8099 --proxy-type=none ../test/options-tests.js
+ *
+ * The arguments given after the script name indicate the expected behaviors:
+ * "proxy" if the proxy should be used, "latin1" if scripts are read as ISO-8859-1.
+ */
+
+phantom.injectJs("./jasmine/jasmine.js");
+phantom.injectJs("./jasmine/jasmine-console.js");
+phantom.injectJs("./jasmine/jasmine.async.min.js");
+
+var args = require("system").args;
+
+describe("--proxy and --proxy-type options", function(){
+    var webpage = require("webpage").create();
+
+    // nothing listens on the port 8099, so we receive an error from the proxy
+    // when it is used, and an error from the DNS resolution when it is not used
+    it("are applied to requests",function() {
+        var error = null;
+        runs(function() {
+            webpage.onResourceError = function(err) {
+                error = err;
+            };
+            webpage.open("http://slimerjs.invalid/", function(success){});
+        });
+
+        waitsFor(function(){ return error !== null;}, 5000);
+        runs(function(){
+            if (args.indexOf("proxy") != -1)
+                expect(error.errorString).toEqual("Proxy connection refused");
+            else
+                expect(error.errorString).toEqual("Host not found");
+            webpage.close();
+        });
+    });
+});
+
+describe("--script-encoding option", function(){
+    it("gives the encoding of injected scripts",function() {
+        phantom.injectJs("./wwwfile/injectlatin1.js");
+        if (args.indexOf("latin1") != -1)
+            expect(injectedLatin1Text).toEqual("caf\u00e9");
+        else
+            expect(injectedLatin1Text).not.toEqual("caf\u00e9");
+    });
+});
+
+// Launch tests
+var jEnv = jasmine.getEnv();
+var reporter = new jasmine.ConsoleReporter(
+                                function(msg){
+                                    console.log(msg.replace('\n', ''));
+                                },
+                                function(rep){
+                                    phantom.exit();
+                                },
+                                true);
+jEnv.addReporter(reporter);
+jEnv.updateInterval = 1000;
+jEnv.execute();
@@ -0,0 +1,82 @@
+
+describe("phantom.cookies", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/";
+
+    it("can receive a cookie",function() {
+        phantom.clearCookies();
+        expect(phantom.cookies.length).toEqual(0);
+        var result = phantom.addCookie({
+            name: "globalcookie",
+            value: "world",
+            domain: "127.0.0.1",
+            path: "/"
+        });
+        expect(result).toBeTruthy();
+        expect(phantom.cookies.length).toEqual(1);
+        expect(phantom.cookies[0].name).toEqual("globalcookie");
+        expect(phantom.cookies[0].value).toEqual("world");
+    });
+
+    it("refuses an invalid cookie",function() {
+        expect(phantom.addCookie({ value: "world" })).toBeFalsy();
+        expect(phantom.cookies.length).toEqual(1);
+    });
+
+    it("are sent with requests of webpages, with cookies of the webpage",function() {
+        var loaded = false;
+        webpage.addCookie({
+            name: "pagecookie",
+            value: "hello",
+            domain: "127.0.0.1",
+            path: "/"
+        });
+        runs(function() {
+            webpage.open(url + "getHeaders", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            var headers = JSON.parse(webpage.plainText);
+            expect(headers['cookie']).toEqual("globalcookie=world; pagecookie=hello");
+        });
+    });
+
+    it("are not sent when cookies are disabled",function() {
+        var loaded = false;
+        runs(function() {
+            phantom.cookiesEnabled = false;
+            webpage.open(url + "getHeaders", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            phantom.cookiesEnabled = true;
+            var headers = JSON.parse(webpage.plainText);
+            expect(headers['cookie']).toBeUndefined();
+        });
+    });
+
+    it("can be deleted",function() {
+        expect(phantom.deleteCookie("globalcookie")).toBeTruthy();
+        expect(phantom.deleteCookie("globalcookie")).toBeFalsy();
+        expect(phantom.cookies.length).toEqual(0);
+    });
+
+    it("can be cleared",function() {
+        phantom.cookies = [
+            { name: "c1", value: "v1", domain: "127.0.0.1" },
+            { name: "c2", value: "v2", domain: "127.0.0.1" }
+        ];
+        expect(phantom.cookies.length).toEqual(2);
+        phantom.clearCookies();
+        expect(phantom.cookies.length).toEqual(0);
+        webpage.close();
+    });
+});
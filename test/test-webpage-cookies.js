@@ -0,0 +1,104 @@
+
+describe("WebPage.cookies", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/";
+
+    it("is empty at the beginning",function() {
+        expect(webpage.cookies.length).toEqual(0);
+    });
+
+    it("can receive a cookie added by the script",function() {
+        var result = webpage.addCookie({
+            name: "slimercookie",
+            value: "hello",
+            domain: "127.0.0.1",
+            path: "/"
+        });
+        expect(result).toBeTruthy();
+        expect(webpage.cookies.length).toEqual(1);
+        expect(webpage.cookies[0].name).toEqual("slimercookie");
+        expect(webpage.cookies[0].value).toEqual("hello");
+    });
+
+    it("refuses an invalid cookie",function() {
+        expect(webpage.addCookie({ value: "hello" })).toBeFalsy();
+        expect(webpage.cookies.length).toEqual(1);
+    });
+
+    it("sends its cookies with requests",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url + "getHeaders", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            var headers = JSON.parse(webpage.plainText);
+            expect(headers['cookie']).toEqual("slimercookie=hello");
+        });
+    });
+
+    it("stores cookies received in responses",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url + "setCookie", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            var cookies = webpage.cookies;
+            expect(cookies.length).toEqual(2);
+            expect(cookies[1].name).toEqual("slimersession");
+            expect(cookies[1].value).toEqual("abcdef");
+            expect(cookies[1].domain).toEqual("127.0.0.1");
+        });
+    });
+
+    it("can delete a cookie",function() {
+        expect(webpage.deleteCookie("slimercookie")).toBeTruthy();
+        expect(webpage.deleteCookie("slimercookie")).toBeFalsy();
+        expect(webpage.cookies.length).toEqual(1);
+    });
+
+    it("can replace all cookies",function() {
+        webpage.cookies = [
+            { name: "c1", value: "v1", domain: "127.0.0.1" },
+            { name: "c2", value: "v2", domain: "127.0.0.1" }
+        ];
+        expect(webpage.cookies.length).toEqual(2);
+        expect(webpage.cookies[0].name).toEqual("c1");
+        expect(webpage.cookies[1].name).toEqual("c2");
+    });
+
+    it("ignores an invalid Max-Age in received cookies",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url + "setCookieInvalidMaxAge", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            var cookies = webpage.cookies.filter(function(cookie) {
+                return cookie.name == "slimerexpires";
+            });
+            expect(cookies.length).toEqual(1);
+            // the Expires attribute is used instead
+            expect(cookies[0].expiry).toEqual(4102444800);
+        });
+    });
+
+    it("can clear all cookies",function() {
+        webpage.clearCookies();
+        expect(webpage.cookies.length).toEqual(0);
+        webpage.close();
+    });
+});
@@ -0,0 +1,87 @@
+
+describe("WebPage.getHar()", function(){
+    var webpage = require("webpage").create();
+
+    function findEntry(har, url) {
+        var list = har.log.entries.filter(function(entry){
+            return entry.request.url == url;
+        });
+        return (list.length ? list[0] : null);
+    }
+
+    it("returns the requests of the loaded page",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open("http://127.0.0.1:8083/hello.html?foo=bar&baz", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var har = webpage.getHar();
+            expect(har.log.version).toEqual("1.2");
+            expect(har.log.creator.name).toEqual("SlimerJS");
+            expect(har.log.pages.length).toEqual(1);
+
+            var page = har.log.pages[0];
+            expect(page.title).toEqual("hello world");
+            expect(page.pageTimings.onContentLoad).toBeGreaterThan(-1);
+            expect(page.pageTimings.onLoad).not.toBeLessThan(page.pageTimings.onContentLoad);
+
+            var entry = findEntry(har, "http://127.0.0.1:8083/hello.html?foo=bar&baz");
+            expect(entry).not.toBeNull();
+            expect(entry.pageref).toEqual(page.id);
+            expect(entry.request.method).toEqual("GET");
+            expect(entry.request.queryString).toEqual([{name:"foo", value:"bar"}, {name:"baz", value:""}]);
+            expect(entry.response.status).toEqual(200);
+            expect(entry.response.content.mimeType).toEqual("text/html");
+            expect(entry.response.content.size).toBeGreaterThan(0);
+            expect(entry.response.httpVersion).toEqual("HTTP/1.1");
+            ["blocked", "dns", "connect", "send", "wait", "receive"].forEach(function(phase) {
+                expect(typeof entry.timings[phase]).toEqual("number");
+            });
+            expect(entry.time).not.toBeLessThan(0);
+
+            expect(findEntry(har, "http://127.0.0.1:8083/slimerjs.png")).not.toBeNull();
+            expect(findEntry(har, "http://127.0.0.1:8083/hello.js")).not.toBeNull();
+            expect(findEntry(har, "http://127.0.0.1:8083/helloframe.html")).not.toBeNull();
+        });
+    });
+
+    it("contains only the requests of the last loaded page",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open("http://127.0.0.1:8083/simplehello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var har = webpage.getHar();
+            expect(har.log.pages[0].title).toEqual("simple hello world");
+            expect(har.log.entries.length).toEqual(1);
+            expect(har.log.entries[0].request.url).toEqual("http://127.0.0.1:8083/simplehello.html");
+        });
+    });
+
+    it("gives the error of failed requests in the comment of the response",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open("http://qsdqsdqs.qsfdsfi/plop.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 3000);
+        runs(function(){
+            var entry = findEntry(webpage.getHar(), "http://qsdqsdqs.qsfdsfi/plop.html");
+            expect(entry).not.toBeNull();
+            expect(entry.response.status).toEqual(0);
+            expect(entry.response.comment).toEqual("Host not found");
+            webpage.close();
+        });
+    });
+});
+
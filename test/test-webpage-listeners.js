@@ -63,6 +63,13 @@ describe("webpage with listeners", function() {
             receivedRequest[response.id][response.stage] = response;
         };
 
+        webpage.onResourceError = function(error) {
+            if (receivedRequest[error.id] == undefined ) {
+                receivedRequest[error.id] = { req:null, start:null, end:null}
+            }
+            receivedRequest[error.id].error = error;
+        };
+
         webpage.onLoadFinished = function(status, url) {
             var currentUrl = webpage.evaluate(function() {
                 return window.location.href + " - "+ window.initializedCounter;
@@ -355,6 +362,8 @@ describe("webpage with listeners", function() {
         expect(r.start.statusText).toEqual('Not Found');
         expect(r.end.status).toEqual(404);
         expect(r.end.statusText).toEqual('Not Found');
+        expect(r.error).toNotBe(undefined);
+        expect(r.error.errorCode).toEqual(404);
         expect(r.start.contentType).toEqual("text/html");
         expect(r.end.contentType).toEqual("text/html");
         done();
@@ -392,12 +401,13 @@ describe("webpage with listeners", function() {
         expect(r).toNotBe(null);
         expect(r.req).toNotBe(null);
         expect(r.start).toBeNull();
-        expect(r.end).toNotBe(null);
-        expect(r.end.contentType).toBeNull()
-        expect(r.end.redirectURL).toBeNull()
-        expect(r.end.status).toBeNull()
-        expect(r.end.statusText).toBeNull()
-        expect(r.end.url).toEqual('http://qsdqsdqs.qsfdsfi/plop.html');
+        expect(r.end).toBeNull();
+        expect(r.error).toNotBe(null);
+        expect(r.error.id).toEqual(r.req.id);
+        expect(r.error.url).toEqual('http://qsdqsdqs.qsfdsfi/plop.html');
+        // NS_ERROR_UNKNOWN_HOST
+        expect(r.error.errorCode).toEqual(0x804B001E);
+        expect(r.error.errorString).toEqual('Host not found');
         expect(r.req.method).toEqual("GET");
 
         done();
@@ -460,4 +470,254 @@ describe("webpage with listeners", function() {
         webpage.close();
         done();
     });
-});
\ No newline at end of file
+});
+describe("WebPage.onResourceError", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/brokenresources.html";
+
+    it("is called for each failed resource",function() {
+        var loaded = false;
+        var errors = {};
+        runs(function() {
+            webpage.onResourceError = function(error) {
+                errors[error.url] = error;
+            };
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 3000);
+        runs(function(){
+            var err = errors["http://127.0.0.1:8083/inexistant.png"];
+            expect(err).toBeDefined();
+            expect(err.errorCode).toEqual(404);
+            expect(typeof err.id).toEqual("number");
+
+            err = errors["http://127.0.0.1:8099/unreachable.js"];
+            expect(err).toBeDefined();
+            expect(err.errorString).toEqual("Connection refused");
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.onResourceRequested with a networkRequest", function(){
+    var webpage = require("webpage").create();
+
+    it("can abort a request",function() {
+        var loaded = false;
+        var error = null;
+        runs(function() {
+            webpage.onResourceRequested = function(request, networkRequest) {
+                if (/slimerjs\.png$/.test(request.url))
+                    networkRequest.abort();
+            };
+            webpage.onResourceError = function(err) {
+                error = err;
+            };
+            webpage.open("http://127.0.0.1:8083/hello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = webpage.evaluate(function(){
+                return document.querySelector('img').naturalWidth;
+            });
+            expect(result).toEqual(0);
+            expect(error).not.toBeNull();
+            expect(error.url).toEqual("http://127.0.0.1:8083/slimerjs.png");
+            expect(error.errorString).toEqual("Operation canceled");
+        });
+    });
+
+    it("can change the url of a request",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.onResourceError = null;
+            webpage.onResourceRequested = function(request, networkRequest) {
+                if (/inexistant\.html$/.test(request.url))
+                    networkRequest.changeUrl("simplehello.html");
+            };
+            webpage.open("http://127.0.0.1:8083/inexistant.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.title).toEqual("simple hello world");
+        });
+    });
+
+    it("can set a header of a request",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.onResourceRequested = function(request, networkRequest) {
+                networkRequest.setHeader("X-Slimer", "yes");
+            };
+            webpage.open("http://127.0.0.1:8083/getHeaders", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var headers = JSON.parse(webpage.plainText);
+            expect(headers['x-slimer']).toEqual("yes");
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.onResourceRequested with a body", function(){
+    var webpage = require("webpage").create();
+    var requests = [];
+    webpage.onResourceRequested = function(request) {
+        requests.push(request);
+    };
+
+    it("gives the body of a posted page",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open("http://127.0.0.1:8083/echoRequest", "post", "name=%C3%A9t%C3%A9&x=1", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(requests.length).toEqual(1);
+            var postData = requests[0].postData;
+            expect(postData).not.toBeNull();
+            expect(postData.text).toEqual("name=%C3%A9t%C3%A9&x=1");
+            expect(postData.size).toEqual(22);
+            expect(postData.mimeType).toEqual("application/x-www-form-urlencoded");
+            expect(postData.binary).toBeFalsy();
+            expect(postData.truncated).toBeFalsy();
+            expect(JSON.parse(webpage.plainText).body).toEqual("name=%C3%A9t%C3%A9&x=1");
+        });
+    });
+
+    it("gives the body of XMLHttpRequests",function() {
+        requests = [];
+        var result = webpage.evaluate(function(){
+            var xhr = new XMLHttpRequest();
+            xhr.open('PUT', '/echoRequest', false);
+            xhr.setRequestHeader("Content-Type", "text/plain;charset=UTF-8");
+            xhr.send('été');
+            var xhr2 = new XMLHttpRequest();
+            xhr2.open('POST', '/echoRequest', false);
+            xhr2.send(new Uint8Array([0, 1, 2, 255]));
+            return JSON.parse(xhr.responseText).method;
+        });
+        expect(result).toEqual("PUT");
+        expect(requests.length).toEqual(2);
+        expect(requests[0].postData.text).toEqual("été");
+        expect(requests[0].postData.size).toEqual(5);
+        expect(requests[0].postData.mimeType).toEqual("text/plain;charset=UTF-8");
+        expect(requests[0].postData.binary).toBeFalsy();
+        expect(requests[1].postData.text).toEqual("AAEC/w==");
+        expect(requests[1].postData.size).toEqual(4);
+        expect(requests[1].postData.binary).toBeTruthy();
+    });
+
+    it("does not give a body for GET requests",function() {
+        var loaded = false;
+        runs(function() {
+            requests = [];
+            webpage.open("http://127.0.0.1:8083/simplehello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(requests.length).toEqual(1);
+            expect(requests[0].postData).toBeNull();
+        });
+    });
+
+    it("truncates bodies bigger than postDataMaxSize",function() {
+        var loaded = false;
+        runs(function() {
+            requests = [];
+            webpage.postDataMaxSize = 4;
+            webpage.open("http://127.0.0.1:8083/echoRequest", "post", "abcdefgh", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(requests.length).toEqual(1);
+            expect(requests[0].postData.text).toEqual("abcd");
+            expect(requests[0].postData.size).toEqual(8);
+            expect(requests[0].postData.truncated).toBeTruthy();
+            expect(JSON.parse(webpage.plainText).body).toEqual("abcdefgh");
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.captureContent", function(){
+    var webpage = require("webpage").create();
+    var fs = require("fs");
+    var pngFile = phantom.libraryPath + '/www/slimerjs.png';
+    var responses = {};
+    webpage.captureContent = [ /image\/png/, /javascript/ ];
+    webpage.onResourceReceived = function(response) {
+        if (response.stage == "end")
+            responses[response.url] = response;
+    };
+
+    it("captures binary content in base64",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.captureContentEncoding = "base64";
+            webpage.open("http://127.0.0.1:8083/hello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var response = responses["http://127.0.0.1:8083/slimerjs.png"];
+            expect(response).toBeDefined();
+            expect(response.bodyEncoding).toEqual("base64");
+            expect(response.bodyTruncated).toBeFalsy();
+
+            var file = "slimerjs_body.png";
+            fs.writeResponseBody(file, response);
+            expect(fs.read(file, "rb")).toEqual(fs.read(pngFile, "rb"));
+            fs.remove(file);
+        });
+    });
+
+    it("truncates content bigger than captureContentMaxSize",function() {
+        var loaded = false;
+        runs(function() {
+            responses = {};
+            webpage.captureContentEncoding = "";
+            webpage.captureContentMaxSize = 10;
+            webpage.open("http://127.0.0.1:8083/hello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var response = responses["http://127.0.0.1:8083/slimerjs.png"];
+            expect(response.bodyEncoding).toEqual("");
+            expect(response.bodyTruncated).toBeTruthy();
+            expect(response.body).toEqual(fs.read(pngFile, "rb").substr(0, 10));
+            expect(response.bodySize).toEqual(fs.size(pngFile));
+            // the whole image is still read to give its information
+            expect(response.imageInfo.width).toEqual(320);
+            expect(response.imageInfo.height).toEqual(320);
+            webpage.close();
+        });
+    });
+});
@@ -26,12 +26,12 @@ describe("WebPage.onNavigationRequested", function(){
             expect(navCall.length).toEqual(2);
             var nav = navCall[0]
             expect(nav[0]).toEqual("http://127.0.0.1:8083/navigation.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeTruthy()
             nav = navCall[1]
             expect(nav[0]).toEqual("http://127.0.0.1:8083/simplehello.html");
-            //expect(nav[1]).toEqual("LinkClicked")
+            expect(nav[1]).toEqual("LinkClicked")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeTruthy()
         });
@@ -62,38 +62,38 @@ describe("WebPage.onNavigationRequested", function(){
             expect(navCall.length).toEqual(8);
             var nav = navCall[0] // 1
             expect(nav[0]).toEqual("http://127.0.0.1:8083/frame_main.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeTruthy()
             nav = navCall[1] //6
             expect(nav[0]).toEqual("http://127.0.0.1:8083/frame_top.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeFalsy()
             nav = navCall[2] //10
             expect(nav[0]).toEqual("http://127.0.0.1:8083/frame_left.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeFalsy()
             nav = navCall[3] //14
             expect(nav[0]).toEqual("http://127.0.0.1:8083/subframe_main.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeFalsy()
             nav = navCall[4] //18
             expect(nav[0]).toEqual("http://127.0.0.1:8083/subframe_top.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeFalsy()
             nav = navCall[5] //22
             expect(nav[0]).toEqual("http://127.0.0.1:8083/simplehello.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeFalsy()
             nav = navCall[6] //26
             // new page in a frame, after the click
             expect(nav[0]).toEqual("http://127.0.0.1:8083/consolemessage.html");
-            //expect(nav[1]).toEqual("LinkClicked")
+            expect(nav[1]).toEqual("LinkClicked")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeFalsy()
         });
@@ -123,12 +123,12 @@ describe("WebPage.onNavigationRequested", function(){
             expect(navCall.length).toEqual(2);
             var nav = navCall[0] // 1
             expect(nav[0]).toEqual("http://127.0.0.1:8083/navigation_form.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeTruthy()
             nav = navCall[1] //6
             expect(nav[0]).toEqual("http://127.0.0.1:8083/simplehello.html");
-            //expect(nav[1]).toEqual("FormSubmitted")
+            expect(nav[1]).toEqual("FormSubmitted")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeTruthy()
         });
@@ -158,12 +158,12 @@ describe("WebPage.onNavigationRequested", function(){
             expect(navCall.length).toEqual(2);
             var nav = navCall[0]
             expect(nav[0]).toEqual("http://127.0.0.1:8083/navigation.html");
-            //expect(nav[1]).toEqual("Other")
+            expect(nav[1]).toEqual("Other")
             expect(nav[2]).toBeTruthy()
             expect(nav[3]).toBeTruthy()
             nav = navCall[1]
             expect(nav[0]).toEqual("http://127.0.0.1:8083/simplehello.html");
-            //expect(nav[1]).toEqual("LinkClicked")
+            expect(nav[1]).toEqual("LinkClicked")
             expect(nav[2]).toBeFalsy()
             expect(nav[3]).toBeTruthy()
             expect(webpage.url).toEqual("http://127.0.0.1:8083/navigation.html");
@@ -171,4 +171,160 @@ describe("WebPage.onNavigationRequested", function(){
         });
     });
 
+    it("gives the navigation type of history navigations and reloads",function() {
+        var step = 0;
+        var navCall = [];
+
+        webpage.navigationLocked = false;
+        webpage.onNavigationRequested = function(url, navigationType, willNavigate, isMainFrame) {
+            navCall.push([url, navigationType, willNavigate, isMainFrame]);
+        }
+
+        runs(function() {
+            webpage.open(url, function(success){
+                webpage.sendEvent("click", 5, 5, 'left', 0);
+                setTimeout(function(){
+                    webpage.goBack();
+                    setTimeout(function(){
+                        webpage.reload();
+                        setTimeout(function(){
+                            step = 1;
+                        }, 200);
+                    }, 200);
+                }, 200);
+            });
+        });
+
+        waitsFor(function(){ return step == 1;}, 2000);
+
+        runs(function(){
+            expect(navCall.length).toEqual(4);
+            expect(navCall[0][1]).toEqual("Other")
+            expect(navCall[1][0]).toEqual("http://127.0.0.1:8083/simplehello.html");
+            expect(navCall[1][1]).toEqual("LinkClicked")
+            expect(navCall[2][0]).toEqual("http://127.0.0.1:8083/navigation.html");
+            expect(navCall[2][1]).toEqual("BackOrForward")
+            expect(navCall[3][0]).toEqual("http://127.0.0.1:8083/navigation.html");
+            expect(navCall[3][1]).toEqual("Reload")
+        });
+    });
+
+    it("gives FormResubmitted when going back to a posted form",function() {
+        var step = 0;
+        var navCall = [];
+
+        webpage.onNavigationRequested = function(url, navigationType, willNavigate, isMainFrame) {
+            navCall.push([url, navigationType, willNavigate, isMainFrame]);
+        }
+
+        runs(function() {
+            webpage.open("http://127.0.0.1:8083/navigation_form.html", function(success){
+                webpage.sendEvent("click", 5, 5, 'left', 0);
+                setTimeout(function(){
+                    webpage.open(url, function(success){
+                        webpage.goBack();
+                        setTimeout(function(){
+                            step = 1;
+                        }, 200);
+                    });
+                }, 200);
+            });
+        });
+
+        waitsFor(function(){ return step == 1;}, 2000);
+
+        runs(function(){
+            expect(navCall.length).toEqual(4);
+            expect(navCall[1][0]).toEqual("http://127.0.0.1:8083/simplehello.html");
+            expect(navCall[1][1]).toEqual("FormSubmitted")
+            expect(navCall[2][1]).toEqual("Other")
+            expect(navCall[3][0]).toEqual("http://127.0.0.1:8083/simplehello.html");
+            expect(navCall[3][1]).toEqual("FormResubmitted")
+        });
+    });
+});
+
+describe("WebPage.blockedUrls and WebPage.allowedUrls", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/hello.html";
+
+    it("refuse resources matching blockedUrls",function() {
+        var loaded = false;
+        var requested = [];
+        webpage.onResourceRequested = function(request) {
+            requested.push(request.url);
+        };
+
+        runs(function() {
+            webpage.blockedUrls = [ "*.png", /hello\.js$/ ];
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            expect(webpage.title).toEqual("hello world");
+            expect(requested.indexOf("http://127.0.0.1:8083/slimerjs.png")).toEqual(-1);
+            expect(requested.indexOf("http://127.0.0.1:8083/hello.js")).toEqual(-1);
+            expect(requested.indexOf("http://127.0.0.1:8083/helloframe.html")).not.toEqual(-1);
+            var result = webpage.evaluate(function(){
+                return document.querySelector('img').naturalWidth + "|" + (typeof foo);
+            });
+            expect(result).toEqual("0|undefined");
+        });
+    });
+
+    it("refuse documents matching blockedUrls",function() {
+        var loaded = false;
+        var navCall = [];
+        webpage.onNavigationRequested = function(url, navigationType, willNavigate, isMainFrame) {
+            navCall.push([url, navigationType, willNavigate, isMainFrame]);
+        }
+
+        runs(function() {
+            webpage.blockedUrls = [ "*/helloframe.html" ];
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            expect(navCall.length).toEqual(2);
+            expect(navCall[0][2]).toBeTruthy();
+            expect(navCall[1][0]).toEqual("http://127.0.0.1:8083/helloframe.html");
+            expect(navCall[1][2]).toBeFalsy();
+            expect(webpage.framesCount).toEqual(1);
+            webpage.switchToFrame(0);
+            expect(webpage.frameUrl).not.toEqual("http://127.0.0.1:8083/helloframe.html");
+            webpage.switchToMainFrame();
+            webpage.onNavigationRequested = null;
+        });
+    });
+
+    it("refuse urls that don't match allowedUrls",function() {
+        var loaded = false;
+
+        runs(function() {
+            webpage.blockedUrls = [];
+            webpage.allowedUrls = [ "http://127.0.0.1:8083/*.html", "http://127.0.0.1:8083/*.js" ];
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+
+        runs(function(){
+            expect(webpage.title).toEqual("hello world");
+            var result = webpage.evaluate(function(){
+                return document.querySelector('img').naturalWidth + "|" + foo;
+            });
+            expect(result).toEqual("0|4");
+            webpage.close();
+        });
+    });
 });
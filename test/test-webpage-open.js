@@ -77,3 +77,82 @@ describe("WebPage.onClosing", function(){
 
 });
 
+
+describe("WebPage.pages", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/windowopen.html";
+
+    it("lists child pages opened by window.open",function() {
+        var loaded = false;
+        var childLoaded = 0;
+        webpage.onPageCreated = function(aChildPage) {
+            aChildPage.onLoadFinished = function(){
+                childLoaded++;
+            }
+        }
+        runs(function() {
+            expect(webpage.ownsPages).toBeTruthy();
+            expect(webpage.pages.length).toEqual(0);
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            webpage.evaluate(function(){
+                launchNamedWindow("first");
+                launchNamedWindow("second");
+            });
+        });
+        waitsFor(function(){ return childLoaded == 2;}, 2000);
+        runs(function(){
+            expect(webpage.pages.length).toEqual(2);
+            expect(webpage.pagesWindowName).toEqual(["first", "second"]);
+            var page = webpage.getPage("second");
+            expect(page).not.toBeNull();
+            expect(page.title).toEqual("simple hello world");
+            expect(webpage.getPage("unknown")).toBeNull();
+        });
+    });
+
+    it("does not list closed pages",function() {
+        webpage.getPage("first").close();
+        expect(webpage.pagesWindowName).toEqual(["second"]);
+    });
+
+    it("closes child pages with the parent page",function() {
+        var page = webpage.getPage("second");
+        webpage.close();
+        expect(page.url).toEqual("");
+        expect(webpage.pages.length).toEqual(0);
+    });
+
+    it("does not own child pages when ownsPages is false",function() {
+        var loaded = false;
+        var childPage = null;
+        webpage.ownsPages = false;
+        webpage.onPageCreated = function(aChildPage) {
+            childPage = aChildPage;
+        }
+        runs(function() {
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            webpage.evaluate(function(){
+                launchNamedWindow("third");
+            });
+        });
+        waitsFor(function(){ return childPage !== null;}, 2000);
+        runs(function(){
+            expect(webpage.pages.length).toEqual(0);
+            webpage.close();
+            expect(childPage.url).not.toEqual("");
+            childPage.close();
+        });
+    });
+});
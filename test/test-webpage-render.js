@@ -82,3 +82,78 @@ describe("WebPage.render()", function(){
         });
     });
 });
+describe("WebPage.render() into a PDF file", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8082/hello.html";
+    var fs = require("fs");
+    var file = "slimerjs_capture.pdf";
+
+    it("creates a PDF file",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            webpage.paperSize = {
+                format: "A5",
+                orientation: "landscape",
+                margin: "1cm",
+                footer: {
+                    height: "1cm",
+                    contents: phantom.callback(function(pageNum, numPages) {
+                        return pageNum + "/" + numPages;
+                    })
+                }
+            };
+            webpage.render(file);
+            expect(fs.exists(file)).toBeTruthy();
+            expect(fs.read(file, "rb").substr(0, 4)).toEqual("%PDF");
+            fs.remove(file);
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.scrollPosition", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/scroll.html";
+
+    it("can scroll the page",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.scrollPosition).toEqual({top:0, left:0});
+            webpage.scrollPosition = {top:150, left:20};
+            var result = webpage.evaluate(function(){
+                return window.scrollY + "-" + window.scrollX;
+            });
+            expect(result).toEqual("150-20");
+            expect(webpage.scrollPosition).toEqual({top:150, left:20});
+        });
+    });
+
+    it("is used by render() as the origin of clipRect",function() {
+        // the page is scrolled on the red block
+        webpage.clipRect = {top:0, left:0, width:50, height:40};
+        var scrolled = webpage.renderBase64();
+        webpage.scrollPosition = {top:0, left:0};
+        var origin = webpage.renderBase64();
+        webpage.clipRect = {top:150, left:20, width:50, height:40};
+        var block = webpage.renderBase64();
+        expect(scrolled).not.toEqual(origin);
+        expect(block).not.toEqual(origin);
+        expect(scrolled).toEqual(block);
+        webpage.close();
+    });
+});
+
@@ -0,0 +1,142 @@
+
+describe("WebPage.route()", function(){
+    var webpage = require("webpage").create();
+
+    it("serves a fake response for a page",function() {
+        var loaded = false;
+        var status = null;
+        runs(function() {
+            webpage.route("http://mocked.slimerjs.test/*", {
+                status: 200,
+                headers: { "Content-Type": "text/html;charset=UTF-8" },
+                body: "<html><head><title>mocked page</title></head><body>été</body></html>"
+            });
+            webpage.onResourceReceived = function(response) {
+                if (response.stage == "end")
+                    status = response.status;
+            };
+            webpage.open("http://mocked.slimerjs.test/index.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.url).toEqual("http://mocked.slimerjs.test/index.html");
+            expect(webpage.title).toEqual("mocked page");
+            expect(webpage.plainText).toEqual("été");
+            expect(status).toEqual(200);
+            webpage.onResourceReceived = null;
+        });
+    });
+
+    it("serves fake responses to XMLHttpRequest",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.route(/\/api\/users\/\d+$/, function(request) {
+                return {
+                    status: 201,
+                    headers: { "X-Mock": "yes" },
+                    body: { method: request.method, url: request.url }
+                };
+            });
+            webpage.open("http://127.0.0.1:8083/simplehello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = webpage.evaluate(function(){
+                var xhr = new XMLHttpRequest();
+                xhr.open('POST', '/api/users/42', false);
+                xhr.send('');
+                return xhr.status + "|" + xhr.getResponseHeader("X-Mock") + "|"
+                       + xhr.getResponseHeader("Content-Type") + "|" + xhr.responseText;
+            });
+            expect(result).toEqual('201|yes|application/json;charset=UTF-8|{"method":"POST","url":"http://127.0.0.1:8083/api/users/42"}');
+        });
+    });
+
+    it("serves binary bodies given as Uint8Array",function() {
+        webpage.route("*/api/binary", {
+            body: new Uint8Array([0, 0x41, 0x80, 0xff])
+        });
+        runs(function(){
+            var result = webpage.evaluate(function(){
+                var xhr = new XMLHttpRequest();
+                xhr.open('GET', '/api/binary', false);
+                xhr.overrideMimeType('text/plain; charset=x-user-defined');
+                xhr.send(null);
+                var bytes = [];
+                for (var i = 0; i < xhr.responseText.length; i++) {
+                    bytes.push(xhr.responseText.charCodeAt(i) & 0xff);
+                }
+                return xhr.getResponseHeader("Content-Type") + "|" + bytes.join(',');
+            });
+            expect(result).toEqual('application/octet-stream|0,65,128,255');
+        });
+    });
+
+    it("aborts https requests having a fake response",function() {
+        var loaded = false;
+        var status = null;
+        var error = null;
+        runs(function() {
+            webpage.route("https://mocked.slimerjs.test/*", { body: "mocked" });
+            webpage.onResourceError = function(err) {
+                error = err;
+            };
+            webpage.open("https://mocked.slimerjs.test/index.html", function(success){
+                status = success;
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 3000);
+        runs(function(){
+            expect(status).toEqual("fail");
+            expect(error).toNotBe(null);
+            expect(error.url).toEqual("https://mocked.slimerjs.test/index.html");
+            expect(error.errorString).toEqual("Operation canceled");
+            webpage.onResourceError = null;
+            webpage.route("https://mocked.slimerjs.test/*", null);
+        });
+    });
+
+    it("lets the request go to the network when the handler returns nothing",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.route("*simplehello.html", function(request) {
+                return null;
+            });
+            webpage.open("http://127.0.0.1:8083/simplehello.html", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.title).toEqual("simple hello world");
+        });
+    });
+
+    it("can remove routes",function() {
+        var loaded = false;
+        var status = null;
+        runs(function() {
+            webpage.route("http://mocked.slimerjs.test/*", null);
+            webpage.open("http://mocked.slimerjs.test/index.html", function(success){
+                status = success;
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 3000);
+        runs(function(){
+            expect(status).toEqual("fail");
+            webpage.close();
+        });
+    });
+});
+
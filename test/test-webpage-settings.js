@@ -0,0 +1,225 @@
+
+describe("WebPage.settings.javascriptEnabled", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/hello.html";
+
+    it("disables scripts of the page when false",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.settings.javascriptEnabled = false;
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = webpage.evaluate(function(){
+                return typeof foo;
+            });
+            expect(result).toEqual("undefined");
+        });
+    });
+
+    it("enables scripts of the page when true",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.settings.javascriptEnabled = true;
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = webpage.evaluate(function(){
+                return typeof foo;
+            });
+            expect(result).toEqual("number");
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.settings.loadImages", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/hello.html";
+
+    it("prevents the loading of images when false",function() {
+        var loaded = false;
+        var imageRequested = false;
+        runs(function() {
+            webpage.settings.loadImages = false;
+            webpage.onResourceRequested = function(request) {
+                if (/slimerjs\.png$/.test(request.url))
+                    imageRequested = true;
+            };
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(imageRequested).toBeFalsy();
+            var result = webpage.evaluate(function(){
+                return document.querySelector('img').naturalWidth;
+            });
+            expect(result).toEqual(0);
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.settings.webSecurityEnabled", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8082/simplehello.html";
+
+    function crossOriginRequest() {
+        return webpage.evaluate(function(){
+            try {
+                var xhr = new XMLHttpRequest();
+                xhr.open('GET', 'http://127.0.0.1:8083/echoRequest', false);
+                xhr.send();
+                return xhr.status;
+            }
+            catch(e) {
+                return 0;
+            }
+        });
+    }
+
+    it("forbids cross origin requests when true",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(crossOriginRequest()).toEqual(0);
+        });
+    });
+
+    it("allows cross origin requests when false",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.settings.webSecurityEnabled = false;
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(crossOriginRequest()).toEqual(200);
+        });
+    });
+
+    it("is taken into account only at the next load",function() {
+        webpage.settings.webSecurityEnabled = true;
+        expect(crossOriginRequest()).toEqual(200);
+        webpage.close();
+    });
+});
+
+describe("WebPage.settings.resourceTimeout", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/slowResponse";
+
+    it("cancels requests that are too long",function() {
+        var loaded = false;
+        var status = '';
+        var timedOutRequest = null;
+        runs(function() {
+            webpage.settings.resourceTimeout = 500;
+            webpage.onResourceTimeout = function(request) {
+                timedOutRequest = request;
+            };
+            webpage.open(url, function(success){
+                status = success;
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1500);
+        runs(function(){
+            expect(status).toEqual("fail");
+            expect(timedOutRequest).not.toBeNull();
+            expect(timedOutRequest.id).toEqual(1);
+            expect(timedOutRequest.url).toEqual(url);
+            expect(timedOutRequest.errorCode).toEqual(408);
+            expect(typeof timedOutRequest.errorString).toEqual("string");
+            webpage.close();
+        });
+    });
+});
+
+
+describe("HTTP authentication", function(){
+    var webpage = require("webpage").create();
+
+    it("stops after maxAuthAttempts",function() {
+        var loaded = false;
+        var calls = [];
+        runs(function() {
+            basicAuthAttempts = 0;
+            webpage.settings.maxAuthAttempts = 2;
+            webpage.onAuthenticationRequired = function(host, realm, scheme) {
+                calls.push([host, realm, scheme]);
+                return { username: "slimer", password: "wrong" };
+            };
+            webpage.open("http://127.0.0.1:8083/basicAuth", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.plainText).toEqual("not authenticated");
+            expect(calls.length).toEqual(2);
+            expect(basicAuthAttempts).toEqual(3);
+        });
+    });
+
+    it("uses credentials given by onAuthenticationRequired",function() {
+        var loaded = false;
+        var calls = [];
+        runs(function() {
+            webpage.onAuthenticationRequired = function(host, realm, scheme) {
+                calls.push([host, realm, scheme]);
+                return { username: "slimer", password: "secret" };
+            };
+            webpage.open("http://127.0.0.1:8083/basicAuth", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.plainText).toEqual("authenticated");
+            expect(calls.length).toEqual(1);
+            expect(calls[0]).toEqual(["http://127.0.0.1:8083", "slimer tests", "basic"]);
+        });
+    });
+
+    it("uses settings.userName and settings.password",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.onAuthenticationRequired = null;
+            webpage.settings.userName = "slimer";
+            webpage.settings.password = "secret";
+            webpage.open("http://localhost:8083/basicAuth", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.plainText).toEqual("authenticated");
+            webpage.close();
+        });
+    });
+});
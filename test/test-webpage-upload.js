@@ -0,0 +1,87 @@
+
+describe("WebPage.uploadFile()", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/upload.html";
+    var dir = phantom.libraryPath + '/www/';
+
+    it("selects a file into a file input",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            webpage.uploadFile('#single', dir + 'hello.txt');
+            var result = webpage.evaluate(function(){
+                var files = document.getElementById('single').files;
+                return files.length + ':' + files[0].name + ':' + changed.join(',');
+            });
+            expect(result).toEqual("1:hello.txt:single");
+        });
+    });
+
+    it("selects several files into a multiple file input",function() {
+        webpage.uploadFile('#multiple', [dir + 'hello.txt', dir + 'hello.html']);
+        var result = webpage.evaluate(function(){
+            var files = document.getElementById('multiple').files;
+            return files.length + ':' + files[0].name + ':' + files[1].name;
+        });
+        expect(result).toEqual("2:hello.txt:hello.html");
+    });
+
+    it("keeps only the first file for a single file input",function() {
+        webpage.uploadFile('#single', [dir + 'hello.html', dir + 'hello.txt']);
+        var result = webpage.evaluate(function(){
+            var files = document.getElementById('single').files;
+            return files.length + ':' + files[0].name;
+        });
+        expect(result).toEqual("1:hello.html");
+    });
+
+    it("throws an error when no file input matches the selector",function() {
+        expect(function(){
+            webpage.uploadFile('#unknown', dir + 'hello.txt');
+        }).toThrow("No file input element matches the selector #unknown");
+    });
+});
+
+describe("WebPage.onFilePicker", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/upload.html";
+    var dir = phantom.libraryPath + '/www/';
+
+    it("gives the file to select when the page opens the file picker",function() {
+        var loaded = false;
+        var oldFile = null;
+        runs(function() {
+            webpage.open(url, function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            webpage.onFilePicker = function(old) {
+                oldFile = old;
+                return dir + 'slimerjs.png';
+            };
+            webpage.evaluate(function(){
+                document.getElementById('single').click();
+            });
+        });
+
+        waitsFor(function(){ return oldFile !== null;}, 1000);
+        runs(function(){
+            var result = webpage.evaluate(function(){
+                var files = document.getElementById('single').files;
+                return files.length + ':' + (files.length ? files[0].name : '');
+            });
+            expect(result).toEqual("1:slimerjs.png");
+            webpage.close();
+        });
+    });
+});
+
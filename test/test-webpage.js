@@ -331,3 +331,120 @@ describe("WebPage.zoomFactor", function(){
         });
     });
 });
+
+describe("WebPage.open() with an HTTP configuration", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/echoRequest";
+
+    it("can send a POST request",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, 'post', 'foo=bar&baz=1', function(success){
+                loaded = true;
+            });
+        });
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = JSON.parse(webpage.plainText);
+            expect(result.method).toEqual("POST");
+            expect(result.body).toEqual("foo=bar&baz=1");
+            expect(result.headers['content-type']).toEqual("application/x-www-form-urlencoded");
+        });
+    });
+
+    it("can send a PUT request with headers",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, 'PUT', '{"a":1}', {"Content-Type":"application/json", "X-Slimer": "yes"})
+            .then(function(success){
+                loaded = true;
+            });
+        });
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = JSON.parse(webpage.plainText);
+            expect(result.method).toEqual("PUT");
+            expect(result.body).toEqual('{"a":1}');
+            expect(result.headers['content-type']).toEqual("application/json");
+            expect(result.headers['x-slimer']).toEqual("yes");
+        });
+    });
+
+    it("accepts an object as HTTP configuration",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open(url, {operation:'POST', data:'hello=world'}, function(success){
+                loaded = true;
+            });
+        });
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = JSON.parse(webpage.plainText);
+            expect(result.method).toEqual("POST");
+            expect(result.body).toEqual("hello=world");
+        });
+    });
+
+    it("can be done with openUrl",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.openUrl(url, 'delete', {}).then(function(success){
+                loaded = true;
+            });
+        });
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            var result = JSON.parse(webpage.plainText);
+            expect(result.method).toEqual("DELETE");
+            webpage.close();
+        });
+    });
+});
+
+describe("WebPage.setContent()", function(){
+    var webpage = require("webpage").create();
+    var url = "http://127.0.0.1:8083/";
+    var html = '<!DOCTYPE html><html><head><title>set content</title></head>'+
+               '<body><img src="slimerjs.png" id="img"/></body></html>';
+
+    it("loads the given content with the given url",function() {
+        var loaded = false;
+        var started = false;
+        webpage.onLoadStarted = function() {
+            started = true;
+        }
+        webpage.onLoadFinished = function(success) {
+            loaded = true;
+        }
+        runs(function() {
+            webpage.setContent(html, url + "content.html");
+        });
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(started).toBeTruthy();
+            expect(webpage.title).toEqual("set content");
+            expect(webpage.url).toEqual(url + "content.html");
+            var img = webpage.evaluate(function(){
+                var img = document.getElementById('img');
+                return img.src + " " + img.naturalWidth;
+            });
+            expect(img).toEqual(url + "slimerjs.png 320");
+        });
+    });
+
+    it("can be done with the content property",function() {
+        var loaded = false;
+        webpage.onLoadFinished = function(success) {
+            loaded = true;
+        }
+        runs(function() {
+            webpage.content = '<!DOCTYPE html><html><head><title>other content</title></head><body></body></html>';
+        });
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.title).toEqual("other content");
+            expect(webpage.url).toEqual(url + "content.html");
+            webpage.close();
+        });
+    });
+});
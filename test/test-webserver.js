@@ -0,0 +1,223 @@
+
+describe("webserver module", function(){
+    var webpage = require("webpage").create();
+    var server = require("webserver").create();
+    server.listen(8084);
+
+    server.route('GET', '/', function(request, response) {
+        response.statusCode = 200;
+        response.headers = { "Content-Type": "text/html;charset=UTF-8" };
+        response.write('<!DOCTYPE html>\n<html><head><title>routes</title></head><body>routes</body></html>');
+        response.close();
+    });
+
+    var sendParams = function(request, response) {
+        response.statusCode = 200;
+        response.headers = { "Content-Type": "application/json" };
+        response.write(JSON.stringify({ method: request.method, params: request.params }));
+        response.close();
+    };
+    server.route('GET', '/users/:id/posts/*', sendParams);
+    server.route('POST', '/users/:id', sendParams);
+    server.route('*', '/any/:name', sendParams);
+    var uploadedFilePath = phantom.libraryPath + '/uploaded-file.tmp';
+    server.route('POST', '/upload', function(request, response) {
+        var files = request.files.map(function(file){
+            return file.field + ':' + file.name + ':' + file.type + ':' + file.size + ':' + file.content;
+        });
+        if (request.files.length)
+            request.files[0].save(uploadedFilePath);
+        response.statusCode = 200;
+        response.headers = { "Content-Type": "application/json;charset=UTF-8" };
+        // the body is sent as UTF-8 bytes
+        response.write(unescape(encodeURIComponent(JSON.stringify({ post: request.post, files: files, json: request.json }))));
+        response.close();
+    });
+    server.registerFile('/file.txt', phantom.libraryPath + '/www/hello.txt', { cacheControl: 'no-store' });
+    server.registerDirectory('/static/', phantom.libraryPath + '/www/');
+    var wsEvents = [];
+    server.registerWebSocket('/ws', {
+        onOpen: function(connection, request) {
+            wsEvents.push('open:' + request.path);
+            connection.send('welcome');
+        },
+        onMessage: function(connection, message, isBinary) {
+            if (message == 'close')
+                connection.close(4000, 'bye');
+            else
+                connection.send('echo:' + message);
+        },
+        onClose: function(connection, code, reason) {
+            wsEvents.push('close:' + code);
+        }
+    });
+    server.registerPrefixHandler('/users/', function(request, response) {
+        response.statusCode = 200;
+        response.write('prefix handler');
+        response.close();
+    });
+
+    function send(method, path, contentType, body) {
+        return webpage.evaluate(function(method, path, contentType, body){
+            var xhr = new XMLHttpRequest();
+            xhr.open(method, path, false);
+            if (contentType)
+                xhr.setRequestHeader('Content-Type', contentType);
+            xhr.send(body || '');
+            return xhr.status + "|" + (xhr.getResponseHeader("Allow") || "") + "|" + xhr.responseText;
+        }, method, path, contentType, body);
+    }
+
+    function get(path, headers) {
+        return webpage.evaluate(function(path, headers){
+            var xhr = new XMLHttpRequest();
+            xhr.open('GET', path, false);
+            for (var name in headers)
+                xhr.setRequestHeader(name, headers[name]);
+            xhr.send('');
+            return {
+                status: xhr.status,
+                text: xhr.responseText,
+                etag: xhr.getResponseHeader("ETag"),
+                lastModified: xhr.getResponseHeader("Last-Modified"),
+                cacheControl: xhr.getResponseHeader("Cache-Control"),
+                contentType: xhr.getResponseHeader("Content-Type"),
+                contentRange: xhr.getResponseHeader("Content-Range")
+            };
+        }, path, headers || {});
+    }
+
+    it("calls the handler of a route",function() {
+        var loaded = false;
+        runs(function() {
+            webpage.open("http://127.0.0.1:8084/", function(success){
+                loaded = true;
+            });
+        });
+
+        waitsFor(function(){ return loaded;}, 1000);
+        runs(function(){
+            expect(webpage.title).toEqual("routes");
+        });
+    });
+
+    it("gives values of parameters of the route",function() {
+        expect(send('GET', '/users/42/posts/2013/my%20post')).toEqual('200||{"method":"GET","params":{"0":"2013/my post","id":"42"}}');
+        expect(send('POST', '/users/15')).toEqual('200||{"method":"POST","params":{"id":"15"}}');
+        expect(send('PUT', '/any/foo')).toEqual('200||{"method":"PUT","params":{"name":"foo"}}');
+    });
+
+    it("responds 405 when the method is not allowed",function() {
+        expect(send('DELETE', '/users/15')).toEqual('405|POST|Method Not Allowed');
+    });
+
+    it("calls the prefix handler when no route matches",function() {
+        expect(send('GET', '/users/15/comments')).toEqual('200||prefix handler');
+    });
+
+    it("parses multipart/form-data bodies",function() {
+        var body = '--slimerboundary\r\n'
+                 + 'Content-Disposition: form-data; name="title"\r\n\r\n'
+                 + 'été\r\n'
+                 + '--slimerboundary\r\n'
+                 + 'Content-Disposition: form-data; name="document"; filename="hello.txt"\r\n'
+                 + 'Content-Type: text/plain\r\n\r\n'
+                 + 'hello\r\nworld\r\n'
+                 + '--slimerboundary--\r\n';
+        var result = send('POST', '/upload', 'multipart/form-data; boundary=slimerboundary', body);
+        expect(result).toEqual('200||{"post":{"title":"été"},"files":["document:hello.txt:text/plain:12:hello\\r\\nworld"],"json":null}');
+        expect(fs.read(uploadedFilePath)).toEqual('hello\r\nworld');
+        fs.remove(uploadedFilePath);
+    });
+
+    it("parses JSON bodies",function() {
+        var result = send('POST', '/upload', 'application/json;charset=UTF-8', '{"name":"slimer","list":[1,2]}');
+        expect(result).toEqual('200||{"post":"{\\"name\\":\\"slimer\\",\\"list\\":[1,2]}","files":[],"json":{"name":"slimer","list":[1,2]}}');
+    });
+
+    it("serves registered files with validators and Cache-Control",function() {
+        var result = get('/file.txt');
+        expect(result.status).toEqual(200);
+        expect(result.text).toEqual('hello I am a file requested by XHR');
+        expect(result.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+        expect(result.lastModified).not.toBeNull();
+        expect(result.cacheControl).toEqual('no-store');
+
+        expect(get('/file.txt', { 'If-None-Match': result.etag }).status).toEqual(304);
+        expect(get('/file.txt', { 'If-Modified-Since': result.lastModified }).status).toEqual(304);
+        expect(get('/file.txt', { 'If-None-Match': '"other"' }).status).toEqual(200);
+    });
+
+    it("serves partial content of registered files",function() {
+        var result = get('/file.txt', { 'Range': 'bytes=0-4' });
+        expect(result.status).toEqual(206);
+        expect(result.text).toEqual('hello');
+        expect(result.contentRange).toEqual('bytes 0-4/34');
+
+        result = get('/file.txt', { 'Range': 'bytes=-3' });
+        expect(result.status).toEqual(206);
+        expect(result.text).toEqual('XHR');
+
+        result = get('/file.txt', { 'Range': 'bytes=0-4,31-' });
+        expect(result.status).toEqual(206);
+        expect(result.contentType).toEqual('multipart/byteranges; boundary=SlimerJSByteRangesBoundary');
+        expect(result.text).toEqual('\r\n--SlimerJSByteRangesBoundary\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-4/34\r\n\r\nhello'
+                                    + '\r\n--SlimerJSByteRangesBoundary\r\nContent-Type: text/plain\r\nContent-Range: bytes 31-33/34\r\n\r\nXHR'
+                                    + '\r\n--SlimerJSByteRangesBoundary--\r\n');
+
+        expect(get('/file.txt', { 'Range': 'bytes=100-' }).status).toEqual(416);
+    });
+
+    it("serves files of registered directories",function() {
+        var result = get('/static/hello.txt');
+        expect(result.status).toEqual(200);
+        expect(result.text).toEqual('hello I am a file requested by XHR');
+        expect(result.cacheControl).toBeNull();
+        expect(get('/static/unknown.txt').status).toEqual(404);
+    });
+
+    it("accepts WebSocket connections",function() {
+        runs(function() {
+            webpage.evaluate(function(){
+                window.wsMessages = [];
+                var ws = new WebSocket('ws://127.0.0.1:8084/ws');
+                ws.onmessage = function(event) {
+                    wsMessages.push(event.data);
+                    if (event.data == 'welcome')
+                        ws.send('héllo');
+                    else
+                        ws.send('close');
+                };
+                ws.onclose = function(event) {
+                    wsMessages.push('closed:' + event.code + ':' + event.reason);
+                };
+            });
+        });
+
+        waitsFor(function(){
+            return wsEvents.length == 2
+                   && webpage.evaluate(function(){ return wsMessages.length; }) == 3;
+        }, 2000);
+        runs(function(){
+            expect(wsEvents).toEqual(['open:/ws', 'close:4000']);
+            expect(webpage.evaluate(function(){ return wsMessages.join('|'); })).toEqual('welcome|echo:héllo|closed:4000:bye');
+        });
+    });
+
+    it("refuses requests without WebSocket handshake on a WebSocket path",function() {
+        expect(get('/ws').status).toEqual(426);
+    });
+
+    it("refuses https options in listen()",function() {
+        var httpsServer = require("webserver").create();
+        expect(function(){
+            httpsServer.listen(8085, { https: { cert: 'cert.pem', key: 'key.pem' } });
+        }).toThrow();
+    });
+
+    it("responds 404 when nothing matches",function() {
+        expect(send('GET', '/unknown/foo')).toEqual('404||Not Found');
+        webpage.close();
+        server.close();
+    });
+});
@@ -0,0 +1 @@
+var injectedLatin1Text = "caf";